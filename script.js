@@ -4,285 +4,3128 @@ JAVASCRIPT LOGIC (CORRECTED & COMPLETE)
 //---------------------------------------------------------
 // Blockchain and Smart Contracts Simulation
 //---------------------------------------------------------
+const HASH_ALGORITHM = 'SHA-256';
+
+// Hex-encoded SHA-256 of a UTF-8 string (or raw bytes), computed with Web Crypto.
+async function sha256Hex(input) {
+    const bytes = typeof input === 'string' ? new TextEncoder().encode(input) : input;
+    const digest = await crypto.subtle.digest(HASH_ALGORITHM, bytes);
+    return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
 class Block {
     constructor(timestamp, data, previousHash = '') {
         this.timestamp = timestamp;
         this.data = data;
         this.previousHash = previousHash;
-        this.hash = this.calculateHash();
+        this.hash = '';
+    }
+
+    static fromJSON(saved) {
+        const block = new Block(saved.timestamp, saved.data, saved.previousHash);
+        block.hash = saved.hash;
+        return block;
     }
 
     calculateHash() {
-        const str = this.previousHash + this.timestamp + JSON.stringify(this.data);
-        return btoa(unescape(encodeURIComponent(str))).substr(0, 32);
+        return sha256Hex(this.previousHash + this.timestamp + JSON.stringify(this.data));
+    }
+
+    // The scheme used before SHA-256: the first 32 characters of the same string in base64. That covers only the first 24 characters,
+    // mostly the previous hash, so it checks links but not contents. Only used to check old ledgers.
+    calculateLegacyHash() {
+        const text = this.previousHash + this.timestamp + JSON.stringify(this.data);
+        return btoa(unescape(encodeURIComponent(text))).substr(0, 32);
     }
 }
 
-class Blockchain {
-    constructor() {
-        const savedData = localStorage.getItem('herbalChainData');
-        if (savedData) {
-            const parsedData = JSON.parse(savedData);
-            this.chain = parsedData.chain;
-            this.metadata = parsedData.metadata;
-            this.inventories = parsedData.inventories;
-            this.reputationScores = parsedData.reputationScores || this.getInitialReputation();
-            this.qrScanLog = parsedData.qrScanLog || {};
-        } else {
-            this.chain = [this.createGenesisBlock()];
-            this.metadata = {}; 
-            this.inventories = { 
-                'SUPPLIER-001': {},
-                'MANU-001': {},
-            };
-            this.reputationScores = this.getInitialReputation();
-            this.qrScanLog = {};
+//---------------------------------------------------------
+// Participant Keys and Digital Signatures
+//---------------------------------------------------------
+const SIGNING_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const SIGNATURE_PARAMS = { name: 'ECDSA', hash: HASH_ALGORITHM };
+const SIGNATURE_FIELDS = ['signature', 'publicKeyFingerprint'];
+
+function bytesToBase64(buffer) {
+    return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+}
+
+function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
+
+function publicKeyFingerprint(publicJwk) {
+    return sha256Hex(`${publicJwk.crv}.${publicJwk.x}.${publicJwk.y}`);
+}
+
+// The signed payload is the block data minus the signature fields themselves.
+function signablePayload(data) {
+    const unsigned = Object.fromEntries(Object.entries(data).filter(([key]) => !SIGNATURE_FIELDS.includes(key)));
+    return new TextEncoder().encode(JSON.stringify(unsigned));
+}
+
+// Only the public half of a key is published with the ledger; private keys leave this browser only in an encrypted keyring backup.
+function loadKeyring() {
+    return JSON.parse(localStorage.getItem('herbalChainKeys') || '{}');
+}
+
+function storeParticipantKeyPair(participantID, entry) {
+    const keyring = loadKeyring();
+    keyring[participantID] = entry;
+    localStorage.setItem('herbalChainKeys', JSON.stringify(keyring));
+}
+
+// A fresh key pair in keyring form. Nothing is stored until the ledger has recorded its public half.
+async function createParticipantKeyPair() {
+    const keyPair = await crypto.subtle.generateKey(SIGNING_ALGORITHM, true, ['sign', 'verify']);
+    const publicKey = await crypto.subtle.exportKey('jwk', keyPair.publicKey);
+    return {
+        publicKey,
+        privateKey: await crypto.subtle.exportKey('jwk', keyPair.privateKey),
+        fingerprint: await publicKeyFingerprint(publicKey),
+    };
+}
+
+// Signs only with the key the ledger has registered for the participant; a missing or different key here needs a key rotation first.
+async function getSigningKeyPair(participantID, registeredFingerprint) {
+    const entry = loadKeyring()[participantID];
+    if (!registeredFingerprint) {
+        throw new Error(`${participantID} has no signing key registered on the ledger.`);
+    }
+    if (!entry || entry.fingerprint !== registeredFingerprint) {
+        throw new Error(`This browser does not hold the signing key registered for ${participantID} (${registeredFingerprint.substring(0, 16)}...). Rotate the key in the Participant Registry before signing.`);
+    }
+    return {
+        publicKey: entry.publicKey,
+        fingerprint: entry.fingerprint,
+        privateKey: await crypto.subtle.importKey('jwk', entry.privateKey, SIGNING_ALGORITHM, false, ['sign']),
+    };
+}
+
+// A keyring backup is the keyring encrypted with AES-GCM under a key stretched from a passphrase, so a ledger restored
+// in another browser can go on signing. GCM authenticates the ciphertext: a wrong passphrase or an edited file fails to decrypt.
+const KEYRING_BUNDLE_FORMAT = 'herbalchain-keyring';
+const KEYRING_ITERATIONS = 150000;
+const MIN_KEYRING_PASSPHRASE_LENGTH = 8;
+
+async function deriveKeyringKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey({ name: 'PBKDF2', salt, iterations, hash: HASH_ALGORITHM }, material, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+}
+
+async function encryptKeyring(keyring, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const key = await deriveKeyringKey(passphrase, salt, KEYRING_ITERATIONS);
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(keyring)));
+    return { format: KEYRING_BUNDLE_FORMAT, iterations: KEYRING_ITERATIONS, salt: bytesToBase64(salt), iv: bytesToBase64(iv), ciphertext: bytesToBase64(ciphertext) };
+}
+
+async function decryptKeyring(bundle, passphrase) {
+    if (!bundle || bundle.format !== KEYRING_BUNDLE_FORMAT) throw new Error('This file is not a HerbalChain signing key backup.');
+    const key = await deriveKeyringKey(passphrase, base64ToBytes(bundle.salt), bundle.iterations);
+    let plaintext;
+    try {
+        plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(bundle.iv) }, key, base64ToBytes(bundle.ciphertext));
+    } catch (e) {
+        throw new Error('The passphrase is wrong or the key backup was altered.');
+    }
+    return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+// Adds restored keys to the keyring. A key whose public half does not match its fingerprint is skipped, and a key held here that
+// the ledger has registered is never replaced by one it has not. Resolves to the participants whose registered key is now held.
+async function restoreKeyring(entries, blockchain) {
+    const keyring = loadKeyring();
+    const registered = participantID => (blockchain.publicKeys[participantID] || {}).fingerprint;
+    for (const [participantID, entry] of Object.entries(entries)) {
+        if (!entry || !entry.publicKey || !entry.privateKey || await publicKeyFingerprint(entry.publicKey) !== entry.fingerprint) continue;
+        const held = keyring[participantID];
+        if (held && held.fingerprint === registered(participantID) && entry.fingerprint !== registered(participantID)) continue;
+        keyring[participantID] = entry;
+    }
+    localStorage.setItem('herbalChainKeys', JSON.stringify(keyring));
+    return Object.keys(keyring).filter(participantID => keyring[participantID].fingerprint === registered(participantID));
+}
+
+//---------------------------------------------------------
+// Units of Measure
+//---------------------------------------------------------
+// Units in the same dimension convert through its base unit; count units (Pieces, Bundles, Bottles) only match themselves.
+const UNITS = {
+    Kg: { dimension: 'mass', toBase: 1000 },
+    Gram: { dimension: 'mass', toBase: 1 },
+    Pieces: { dimension: 'pieces', toBase: 1 },
+    Bundles: { dimension: 'bundles', toBase: 1 },
+    Bottles: { dimension: 'bottles', toBase: 1 },
+};
+const BASE_UNITS = { mass: 'Gram', pieces: 'Pieces', bundles: 'Bundles', bottles: 'Bottles' };
+
+function roundQuantity(quantity) {
+    return Math.round(quantity * 1e6) / 1e6;
+}
+
+function isConvertible(fromUnit, toUnit) {
+    return Boolean(UNITS[fromUnit] && UNITS[toUnit] && UNITS[fromUnit].dimension === UNITS[toUnit].dimension);
+}
+
+// Returns NaN when the units cannot be converted into each other.
+function convertQuantity(quantity, fromUnit, toUnit) {
+    if (!isConvertible(fromUnit, toUnit)) return NaN;
+    return roundQuantity(parseFloat(quantity) * UNITS[fromUnit].toBase / UNITS[toUnit].toBase);
+}
+
+function toBaseUnit(quantity, unit) {
+    const baseUnit = BASE_UNITS[UNITS[unit].dimension];
+    return { quantity: convertQuantity(quantity, unit, baseUnit), unitType: baseUnit };
+}
+
+function compatibleUnits(unit) {
+    return Object.keys(UNITS).filter(other => isConvertible(unit, other));
+}
+
+function formatQuantity(quantity, unit, displayUnit = unit) {
+    const converted = convertQuantity(quantity, unit, displayUnit);
+    return isNaN(converted) ? `${quantity.toFixed(2)} ${unit}` : `${converted.toFixed(2)} ${displayUnit}`;
+}
+
+//---------------------------------------------------------
+// Contract Policy
+//---------------------------------------------------------
+// Version 1 of every business rule the contracts apply. Later versions are activated by setPolicy blocks and must
+// keep this shape; moistureAllowances is the only map whose keys may change. Reputation deltas are keyed by role.
+const DEFAULT_POLICY = {
+    initialReputation: 100,
+    suspensionThreshold: 50,
+    reputationTiers: { excellent: 95, good: 80, average: 70 },
+    qualityThresholds: { collector: 50, supplier: 70, manufacturer: 60 },
+    maxBatchesPerProduct: 5,
+    // Keyed by base unit; `minimum` (in that unit) stops small counts of Pieces or Bundles rounding to zero tolerance.
+    receiptTolerances: {
+        Gram: { percent: 2, minimum: 0 },
+        Pieces: { percent: 2, minimum: 1 },
+        Bundles: { percent: 2, minimum: 1 },
+        Bottles: { percent: 0, minimum: 0 }
+    },
+    // Extra shortfall, in percent of the claim, for herbs that lose water between harvest and receipt. Keyed by species code.
+    moistureAllowances: { ASHW: 8, BRAH: 12, GILO: 10, SHAT: 10, TULS: 6 },
+    reputationDeltas: {
+        receipt: {
+            accepted: { collector: 2, supplier: 1 },
+            accepted_with_shortfall: { collector: 0, supplier: 1 },
+            disputed: { collector: -10, supplier: 5 }
+        },
+        supplyQuality: {
+            passed: { supplier: 3, manufacturer: 1 },
+            failed: { supplier: -15, manufacturer: 5 }
+        },
+        production: {
+            produced: { manufacturer: 2 },
+            qualityBlocked: { manufacturer: -5 }
+        }
+    },
+    // Share of an alert's reputation deltas reversed by each dispute outcome; any share above 0 restores the batch.
+    disputeReversalShare: { upheld: 0, overturned: 1, partially_accepted: 0.5 },
+    verificationSlaHours: 48,
+    // Production whose herb input is further than this from its formulation is refused. Smaller deviations outside the
+    // formulation's own tolerance go ahead but are recorded as yield anomalies.
+    yieldBlockPercent: 50
+};
+
+const OPEN_POLICY_MAPS = ['moistureAllowances'];
+
+// { 'qualityThresholds.supplier': 70, ... } for every numeric leaf.
+function flattenPolicy(policy, prefix = '') {
+    return Object.entries(policy).reduce((flat, [key, value]) => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        return value !== null && typeof value === 'object'
+            ? { ...flat, ...flattenPolicy(value, path) }
+            : { ...flat, [path]: value };
+    }, {});
+}
+
+// Returns a list of problems; an empty list means the policy can be activated.
+function validatePolicy(policy) {
+    if (!policy || typeof policy !== 'object') return ['The policy must be an object.'];
+    const errors = [];
+    const flat = flattenPolicy(policy);
+    const defaults = flattenPolicy(DEFAULT_POLICY);
+    const isOpen = path => OPEN_POLICY_MAPS.some(map => path.startsWith(`${map}.`));
+    Object.keys(defaults).filter(path => !isOpen(path) && !(path in flat))
+        .forEach(path => errors.push(`Missing ${path}.`));
+    Object.entries(flat).forEach(([path, value]) => {
+        if (!isOpen(path) && !(path in defaults)) errors.push(`Unknown setting ${path}.`);
+        else if (typeof value !== 'number' || !Number.isFinite(value)) errors.push(`${path} must be a number.`);
+    });
+    if (errors.length > 0) return errors;
+
+    const inRange = (path, min, max) => {
+        if (!(flat[path] >= min && flat[path] <= max)) errors.push(`${path} must be between ${min} and ${max}.`);
+    };
+    Object.keys(policy.qualityThresholds).forEach(role => inRange(`qualityThresholds.${role}`, 0, 100));
+    Object.keys(policy.disputeReversalShare).forEach(outcome => inRange(`disputeReversalShare.${outcome}`, 0, 1));
+    Object.keys(flat).filter(path => path.startsWith('receiptTolerances.') || isOpen(path)).forEach(path => inRange(path, 0, 100));
+    Object.keys(policy.moistureAllowances).filter(code => !SPECIES_CATALOGUE[code])
+        .forEach(code => errors.push(`moistureAllowances.${code} is not a species code from the catalogue.`));
+    inRange('suspensionThreshold', 0, policy.initialReputation);
+    inRange('verificationSlaHours', 1, 24 * 365);
+    inRange('yieldBlockPercent', 0, 1000);
+    if (!Number.isInteger(policy.maxBatchesPerProduct) || policy.maxBatchesPerProduct < 1) {
+        errors.push('maxBatchesPerProduct must be a whole number of at least 1.');
+    }
+    const { excellent, good, average } = policy.reputationTiers;
+    if (!(excellent > good && good > average && average > policy.suspensionThreshold)) {
+        errors.push('Reputation tiers must descend: excellent > good > average > suspensionThreshold.');
+    }
+    return errors;
+}
+
+// Settings whose values differ between two policies, including ones only one of them has.
+function diffPolicies(before, after) {
+    const a = flattenPolicy(before);
+    const b = flattenPolicy(after);
+    return [...new Set([...Object.keys(a), ...Object.keys(b)])]
+        .filter(path => a[path] !== b[path])
+        .map(path => ({ path, before: a[path], after: b[path] }));
+}
+
+// { [participantID]: delta } from a role-keyed policy entry; roles without a participant or a change are skipped.
+function deltasForParticipants(roleDeltas, participantsByRole) {
+    const deltas = {};
+    Object.entries(participantsByRole).forEach(([role, participantID]) => {
+        if (participantID && roleDeltas[role]) deltas[participantID] = roleDeltas[role];
+    });
+    return deltas;
+}
+
+//---------------------------------------------------------
+// Herb Species
+//---------------------------------------------------------
+// SPECIES_CATALOGUE is loaded from species-catalogue.js. A search matches the code or any of a species' names, ignoring case.
+function searchSpecies(query) {
+    const text = query.trim().toLowerCase();
+    return Object.entries(SPECIES_CATALOGUE).filter(([code, species]) =>
+        [code, species.commonName, species.hindiName, species.sanskritName, species.botanicalName].some(name => name.toLowerCase().includes(text)));
+}
+
+function describeSpecies(code) {
+    const species = SPECIES_CATALOGUE[code];
+    return species ? `${species.commonName} (${species.botanicalName}, ${species.partUsed.toLowerCase()})` : code;
+}
+
+function describeHarvestSeason(species) {
+    if (species.harvestMonths.length === 12) return 'all year';
+    return species.harvestMonths.map(month => new Date(2000, month - 1, 1).toLocaleString('en', { month: 'short' })).join(', ');
+}
+
+function isInHarvestSeason(species, timestamp) {
+    return species.harvestMonths.includes(new Date(timestamp).getMonth() + 1);
+}
+
+// Herbs and recipes recorded before the catalogue carry only a typed name; this finds the species it names, or null.
+function speciesCodeForName(name) {
+    const text = String(name || '').trim().toLowerCase();
+    const match = Object.entries(SPECIES_CATALOGUE).find(([code, species]) =>
+        [code, species.commonName, species.hindiName, species.sanskritName, species.botanicalName].some(known => known.toLowerCase() === text));
+    return match ? match[0] : null;
+}
+
+function ingredientSpecies(ingredient) {
+    return ingredient.speciesCode || speciesCodeForName(ingredient.herbName);
+}
+
+//---------------------------------------------------------
+// Receipt Tolerance
+//---------------------------------------------------------
+// How far a supplier's measurement may differ from the collector's claim under a given policy.
+// Moisture allowances only apply to mass; a bundle of fresh Brahmi is still one bundle when it dries.
+// They are keyed by species code; policies activated before the catalogue keyed them by lower-case common name.
+function moistureAllowance(policy, herb, unitType) {
+    if (UNITS[unitType].dimension !== 'mass') return 0;
+    const allowances = policy.moistureAllowances;
+    return allowances[herb.speciesCode] ?? allowances[String(herb.name).trim().toLowerCase()] ?? 0;
+}
+
+// Moisture loss only excuses a shortfall, so measurements above the claim get the unit tolerance alone.
+function receiptTolerance(policy, herb, claimedQuantity, unitType, measuredQuantity) {
+    const rule = policy.receiptTolerances[unitType] || { percent: 0, minimum: 0 };
+    const allowance = measuredQuantity < claimedQuantity ? moistureAllowance(policy, herb, unitType) : 0;
+    const percent = rule.percent + allowance;
+    return { tolerance: Math.max(claimedQuantity * percent / 100, rule.minimum), percent, moistureAllowance: allowance, minimum: rule.minimum };
+}
+
+//---------------------------------------------------------
+// Herb Image Quality Analyser
+//---------------------------------------------------------
+// Runs entirely in the browser on a downsampled copy of the snapshot. Every feature is a measured property of
+// the pixels normalised to 0..1, and the score is their weighted sum, so the same image always scores the same.
+const QUALITY_ANALYZER_VERSION = 'herb-vision-1';
+const ANALYSIS_MAX_WIDTH = 160;
+const SHARPNESS_TARGET = 250;
+const MIN_FOREIGN_BLOB_CELLS = 4;
+const QUALITY_WEIGHTS = { colour: 0.4, sharpness: 0.2, foreignMatter: 0.25, brightness: 0.15 };
+
+function rgbToHsv(r, g, b) {
+    const max = Math.max(r, g, b);
+    const delta = max - Math.min(r, g, b);
+    let hue = 0;
+    if (delta > 0) {
+        if (max === r) hue = ((g - b) / delta) % 6;
+        else if (max === g) hue = (b - r) / delta + 2;
+        else hue = (r - g) / delta + 4;
+        hue = (hue * 60 + 360) % 360;
+    }
+    return [hue, max === 0 ? 0 : delta / max, max / 255];
+}
+
+// Green = healthy plant tissue, brown = browning/decay, foreign = saturated hues no herb has (plastic, dye, thread).
+function classifyPixel(r, g, b) {
+    const [hue, saturation, value] = rgbToHsv(r, g, b);
+    if (value < 0.12 || saturation < 0.18) return 'neutral';
+    if (hue >= 65 && hue <= 170) return 'green';
+    if (hue >= 10 && hue < 50 && value < 0.75) return 'brown';
+    if ((hue > 170 && hue < 345) && saturation > 0.35) return 'foreign';
+    if ((hue >= 345 || hue < 10) && saturation > 0.5) return 'foreign';
+    return 'neutral';
+}
+
+// Averages the image into cells no wider than ANALYSIS_MAX_WIDTH so results do not depend on camera resolution.
+function downsampleImage(imageData) {
+    const { data, width, height } = imageData;
+    const step = Math.max(1, Math.ceil(width / ANALYSIS_MAX_WIDTH));
+    const gridWidth = Math.ceil(width / step);
+    const gridHeight = Math.ceil(height / step);
+    const cells = new Float32Array(gridWidth * gridHeight * 3);
+    const counts = new Uint32Array(gridWidth * gridHeight);
+    for (let y = 0; y < height; y++) {
+        const row = Math.floor(y / step) * gridWidth;
+        for (let x = 0; x < width; x++) {
+            const cell = row + Math.floor(x / step);
+            const i = (y * width + x) * 4;
+            cells[cell * 3] += data[i];
+            cells[cell * 3 + 1] += data[i + 1];
+            cells[cell * 3 + 2] += data[i + 2];
+            counts[cell]++;
+        }
+    }
+    for (let cell = 0; cell < counts.length; cell++) {
+        cells[cell * 3] /= counts[cell];
+        cells[cell * 3 + 1] /= counts[cell];
+        cells[cell * 3 + 2] /= counts[cell];
+    }
+    return { cells, gridWidth, gridHeight };
+}
+
+// Variance of the 4-neighbour Laplacian of the luminance grid; blurred images have little high-frequency energy.
+function laplacianVariance(luma, gridWidth, gridHeight) {
+    let sum = 0;
+    let sumSquares = 0;
+    let n = 0;
+    for (let y = 1; y < gridHeight - 1; y++) {
+        for (let x = 1; x < gridWidth - 1; x++) {
+            const i = y * gridWidth + x;
+            const laplacian = 4 * luma[i] - luma[i - 1] - luma[i + 1] - luma[i - gridWidth] - luma[i + gridWidth];
+            sum += laplacian;
+            sumSquares += laplacian * laplacian;
+            n++;
+        }
+    }
+    return n === 0 ? 0 : sumSquares / n - (sum / n) ** 2;
+}
+
+// Counts 4-connected foreign-coloured regions large enough to be debris rather than sensor noise.
+function detectForeignBlobs(mask, gridWidth, gridHeight) {
+    const seen = new Uint8Array(mask.length);
+    let blobs = 0;
+    let blobCells = 0;
+    for (let start = 0; start < mask.length; start++) {
+        if (!mask[start] || seen[start]) continue;
+        const stack = [start];
+        seen[start] = 1;
+        let size = 0;
+        while (stack.length) {
+            const i = stack.pop();
+            size++;
+            const x = i % gridWidth;
+            const neighbours = [x > 0 ? i - 1 : -1, x < gridWidth - 1 ? i + 1 : -1, i - gridWidth, i + gridWidth];
+            neighbours.forEach(j => {
+                if (j >= 0 && j < mask.length && mask[j] && !seen[j]) {
+                    seen[j] = 1;
+                    stack.push(j);
+                }
+            });
+        }
+        if (size >= MIN_FOREIGN_BLOB_CELLS) {
+            blobs++;
+            blobCells += size;
+        }
+    }
+    return { blobs, ratio: blobCells / (gridWidth * gridHeight) };
+}
+
+function clamp01(value) {
+    return Math.min(1, Math.max(0, value));
+}
+
+function roundTo(value, digits = 3) {
+    return Math.round(value * 10 ** digits) / 10 ** digits;
+}
+
+function analyzeHerbImage(imageData) {
+    const { cells, gridWidth, gridHeight } = downsampleImage(imageData);
+    const total = gridWidth * gridHeight;
+    const luma = new Float32Array(total);
+    const foreignMask = new Uint8Array(total);
+    const classCounts = { green: 0, brown: 0, foreign: 0, neutral: 0 };
+    let lumaSum = 0;
+
+    for (let i = 0; i < total; i++) {
+        const r = cells[i * 3], g = cells[i * 3 + 1], b = cells[i * 3 + 2];
+        luma[i] = 0.299 * r + 0.587 * g + 0.114 * b;
+        lumaSum += luma[i];
+        const pixelClass = classifyPixel(r, g, b);
+        classCounts[pixelClass]++;
+        if (pixelClass === 'foreign') foreignMask[i] = 1;
+    }
+
+    const greenness = classCounts.green / total;
+    const browning = classCounts.brown / total;
+    const plantCoverage = greenness + browning;
+    const sharpness = laplacianVariance(luma, gridWidth, gridHeight);
+    const foreign = detectForeignBlobs(foreignMask, gridWidth, gridHeight);
+    const brightness = lumaSum / total / 255;
+
+    const subscores = {
+        colour: 0.5 * clamp01(plantCoverage / 0.4) + 0.5 * (plantCoverage > 0 ? greenness / plantCoverage : 0),
+        sharpness: clamp01(sharpness / SHARPNESS_TARGET),
+        foreignMatter: 1 - clamp01(foreign.ratio / 0.1),
+        brightness: brightness < 0.3 ? brightness / 0.3 : brightness > 0.8 ? (1 - brightness) / 0.2 : 1,
+    };
+    const weighted = Object.entries(QUALITY_WEIGHTS).reduce((acc, [feature, weight]) => acc + weight * subscores[feature], 0);
+
+    return {
+        score: Math.round(100 * weighted),
+        analyzerVersion: QUALITY_ANALYZER_VERSION,
+        breakdown: {
+            greenness: roundTo(greenness),
+            browningRatio: roundTo(browning),
+            sharpness: roundTo(sharpness, 1),
+            foreignBlobs: foreign.blobs,
+            foreignMatterRatio: roundTo(foreign.ratio),
+            brightness: roundTo(brightness),
+            subscores: Object.fromEntries(Object.entries(subscores).map(([k, v]) => [k, Math.round(100 * v)])),
+        },
+    };
+}
+
+// Averages several analyses (e.g. multiple uploaded photos of one batch) into a single result.
+function combineQualityResults(results) {
+    if (results.length === 1) return results[0];
+    const average = values => values.reduce((acc, v) => acc + v, 0) / values.length;
+    const breakdowns = results.map(r => r.breakdown);
+    const subscoreKeys = Object.keys(breakdowns[0].subscores);
+    return {
+        score: Math.round(average(results.map(r => r.score))),
+        analyzerVersion: QUALITY_ANALYZER_VERSION,
+        breakdown: {
+            greenness: roundTo(average(breakdowns.map(b => b.greenness))),
+            browningRatio: roundTo(average(breakdowns.map(b => b.browningRatio))),
+            sharpness: roundTo(average(breakdowns.map(b => b.sharpness)), 1),
+            foreignBlobs: Math.round(average(breakdowns.map(b => b.foreignBlobs))),
+            foreignMatterRatio: roundTo(average(breakdowns.map(b => b.foreignMatterRatio))),
+            brightness: roundTo(average(breakdowns.map(b => b.brightness))),
+            subscores: Object.fromEntries(subscoreKeys.map(k => [k, Math.round(average(breakdowns.map(b => b.subscores[k])))])),
+        },
+        imageScores: results.map(r => r.score),
+        evidence: results.map(r => r.evidence),
+    };
+}
+
+// One-line explanation of a quality result for status messages, the ledger and the trace.
+function describeQuality(quality) {
+    if (!quality || !quality.breakdown) return quality && quality.score !== undefined ? `Score ${quality.score}/100` : 'N/A';
+    const b = quality.breakdown;
+    return `Score ${quality.score}/100 — Colour ${b.subscores.colour}% (green ${Math.round(b.greenness * 100)}%, browning ${Math.round(b.browningRatio * 100)}%), ` +
+        `Sharpness ${b.subscores.sharpness}%, Foreign matter ${b.foreignBlobs} blob(s) / ${(b.foreignMatterRatio * 100).toFixed(1)}% (${b.subscores.foreignMatter}%), ` +
+        `Brightness ${b.subscores.brightness}%` +
+        (quality.inputMode ? ` [${quality.inputMode}${quality.imageCount > 1 ? ` × ${quality.imageCount} images` : ''}]` : '');
+}
+
+//---------------------------------------------------------
+// Quality Evidence
+//---------------------------------------------------------
+// The chain records only the SHA-256 of each snapshot thumbnail; the JPEG itself stays in the evidence store keyed by that digest.
+const EVIDENCE_THUMBNAIL_WIDTH = 320;
+const EVIDENCE_JPEG_QUALITY = 0.7;
+
+function digestDataUrl(dataUrl) {
+    return sha256Hex(base64ToBytes(dataUrl.split(',')[1]));
+}
+
+async function loadEvidence(digest) {
+    const record = await getRecord('evidence', digest);
+    return record ? record.dataUrl : null;
+}
+
+async function captureEvidence(sourceCanvas) {
+    const scale = Math.min(1, EVIDENCE_THUMBNAIL_WIDTH / sourceCanvas.width);
+    const thumbnail = document.createElement('canvas');
+    thumbnail.width = Math.round(sourceCanvas.width * scale);
+    thumbnail.height = Math.round(sourceCanvas.height * scale);
+    thumbnail.getContext('2d').drawImage(sourceCanvas, 0, 0, thumbnail.width, thumbnail.height);
+    const dataUrl = thumbnail.toDataURL('image/jpeg', EVIDENCE_JPEG_QUALITY);
+    const digest = await digestDataUrl(dataUrl);
+    await putRecord('evidence', { digest, dataUrl });
+    return { digest, algorithm: HASH_ALGORITHM, mimeType: 'image/jpeg', capturedAt: Date.now() };
+}
+
+// Accepts one evidence record or the list recorded for a multi-image upload.
+function evidenceButton(evidence) {
+    const records = [].concat(evidence || []).filter(record => record && record.digest);
+    return records.map((record, i) =>
+        ` <button type="button" class="btn btn-small view-evidence-btn" data-digest="${escapeHtml(record.digest)}">View Evidence${records.length > 1 ? ` ${i + 1}` : ''}</button>`
+    ).join('');
+}
+
+//---------------------------------------------------------
+// Consumer Scan Policy
+//---------------------------------------------------------
+// Every scan of a unit is logged; the policy decides how many scans each scanner role may make before the unit looks cloned.
+const SCANNER_ROLES = {
+    pharmacy: { label: 'Pharmacy' },
+    consumer: { label: 'Consumer' },
+    inspector: { label: 'Inspector' }
+};
+
+const DEFAULT_SCAN_POLICY = {
+    allowedScans: { pharmacy: 2, consumer: 3, inspector: Infinity },
+    travelWindowHours: 6,
+    travelDistanceKm: 300,
+    warnAtRisk: 40
+};
+
+const SCAN_RISK_POINTS = { excessScan: 25, impossibleTravel: 60 };
+const EARTH_RADIUS_KM = 6371;
+
+function loadScanPolicy() {
+    const saved = JSON.parse(localStorage.getItem('herbalChainScanPolicy') || '{}');
+    const allowedScans = { ...DEFAULT_SCAN_POLICY.allowedScans };
+    Object.entries(saved.allowedScans || {}).forEach(([role, limit]) => {
+        allowedScans[role] = limit === null ? Infinity : limit;
+    });
+    return { ...DEFAULT_SCAN_POLICY, ...saved, allowedScans };
+}
+
+function saveScanPolicy(policy) {
+    // JSON has no Infinity, so "unlimited" is stored as null.
+    const allowedScans = Object.fromEntries(Object.entries(policy.allowedScans)
+        .map(([role, limit]) => [role, Number.isFinite(limit) ? limit : null]));
+    localStorage.setItem('herbalChainScanPolicy', JSON.stringify({ ...policy, allowedScans }));
+}
+
+// Herb IDs are long timestamps; lists show a slice of the timestamp plus any child-lot suffix so split lots stay distinguishable.
+function shortHerbID(herbID) {
+    const [, root, suffix] = herbID.match(/^(.*?)((?:-S\d+)*)$/);
+    return `${root.substring(5, 12)}...${suffix}`;
+}
+
+// Scanned unit IDs are matched against their batch ID, which may contain any characters.
+function escapeRegExp(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Participant and ledger text may contain markup; it is escaped wherever it is written as HTML.
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+// Accepts "lat, lng" or the "Lat: …, Lon: …" form written by Auto-Capture; anything else is a place name without coordinates.
+function parseCoordinates(text) {
+    const match = String(text || '').trim().match(/^(?:lat:\s*)?(-?\d+(?:\.\d+)?)\s*,\s*(?:lon:\s*)?(-?\d+(?:\.\d+)?)$/i);
+    if (!match) return null;
+    const lat = parseFloat(match[1]);
+    const lng = parseFloat(match[2]);
+    return Math.abs(lat) <= 90 && Math.abs(lng) <= 180 ? { lat, lng } : null;
+}
+
+function distanceKm(from, to) {
+    const radians = degrees => degrees * Math.PI / 180;
+    const dLat = radians(to.lat - from.lat);
+    const dLng = radians(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(radians(from.lat)) * Math.cos(radians(to.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+// Risk is 0..100: each scan over a role's allowance and each pair of scans too far apart to travel between adds points.
+function assessScanRisk(scans, policy) {
+    const reasons = [];
+    let risk = 0;
+
+    Object.keys(SCANNER_ROLES).forEach(role => {
+        const count = scans.filter(scan => scan.role === role).length;
+        const allowed = policy.allowedScans[role];
+        if (count > allowed) {
+            risk += (count - allowed) * SCAN_RISK_POINTS.excessScan;
+            reasons.push(`${SCANNER_ROLES[role].label} scans: ${count} (policy allows ${allowed}).`);
+        }
+    });
+
+    const located = scans.filter(scan => scan.coords);
+    for (let i = 1; i < located.length; i++) {
+        const previous = located[i - 1];
+        const current = located[i];
+        const hours = (current.timestamp - previous.timestamp) / 3600000;
+        const km = distanceKm(previous.coords, current.coords);
+        if (hours <= policy.travelWindowHours && km >= policy.travelDistanceKm) {
+            risk += SCAN_RISK_POINTS.impossibleTravel;
+            reasons.push(`Scanned ${Math.round(km)} km apart within ${roundTo(hours, 1)} hours (${previous.location || 'unknown'} → ${current.location || 'unknown'}).`);
+        }
+    }
+
+    return { risk: Math.min(100, risk), reasons, suspicious: risk >= policy.warnAtRisk };
+}
+
+//---------------------------------------------------------
+// Regulatory Oversight
+//---------------------------------------------------------
+const FRAUD_ALERT_TYPES = ['fraudAlert', 'qualityFraudAlert'];
+
+// What a regulator may rule on each kind of subject. Rulings are a public record; they do not change balances or scores.
+const RULING_DECISIONS = {
+    alert: ['Fraud confirmed', 'Alert dismissed', 'Referred for inspection'],
+    participant: ['Formal warning issued', 'Suspension upheld', 'Licence referred for review'],
+    batch: ['Extension granted', 'Ordered to verify within 24 hours', 'Referred for inspection']
+};
+
+//---------------------------------------------------------
+// Dispute Resolution
+//---------------------------------------------------------
+// A dispute moves open → evidence_submitted → re_inspected → resolved, and every step is its own block.
+const DISPUTE_STATUSES = {
+    open: 'Open',
+    evidence_submitted: 'Evidence Submitted',
+    re_inspected: 'Re-inspected',
+    resolved: 'Resolved'
+};
+
+const DISPUTE_OUTCOMES = {
+    upheld: 'Upheld',
+    overturned: 'Overturned',
+    partially_accepted: 'Partially Accepted'
+};
+
+const DISPUTE_STEP_STATUS = {
+    openDispute: 'open',
+    submitDisputeEvidence: 'evidence_submitted',
+    reinspectDispute: 're_inspected',
+    resolveDispute: 'resolved'
+};
+
+// Alerts written before deltas were recorded on the block applied the version 1 amounts.
+function alertReputationDeltas(alert) {
+    if (alert.reputationDeltas) return alert.reputationDeltas;
+    const { receipt, supplyQuality } = DEFAULT_POLICY.reputationDeltas;
+    if (alert.type === 'fraudAlert') {
+        return deltasForParticipants(receipt.disputed, { collector: alert.collectorID, supplier: alert.supplierID });
+    }
+    return deltasForParticipants(supplyQuality.failed, { supplier: alert.supplierID, manufacturer: alert.manufacturerID });
+}
+
+//---------------------------------------------------------
+// Production Yield
+//---------------------------------------------------------
+// A formulation states how much herb goes into one pack unit of a product. Production is compared with it on the herb input:
+// the herb actually used against the content per unit times the units produced.
+function assessYield(formulation, usedBatches, unitsProduced) {
+    const actualInput = usedBatches.reduce((total, batch) => total + convertQuantity(batch.unitsUsed, batch.unitType, formulation.contentUnit), 0);
+    if (isNaN(actualInput)) return null;
+    const expectedInput = formulation.herbContentPerUnit * unitsProduced;
+    const deviationPercent = roundTo((actualInput - expectedInput) / expectedInput * 100, 1);
+    return {
+        expectedInput: roundQuantity(expectedInput), actualInput: roundQuantity(actualInput), contentUnit: formulation.contentUnit,
+        deviationPercent, tolerancePercent: formulation.tolerancePercent
+    };
+}
+
+// Each species' share of the herb input, by weight in the formulation's content unit, against its proportion in the recipe.
+// `speciesOf` gives a herb's catalogue code; unexpected lists the codes the recipe does not name.
+function assessComposition(formulation, usedBatches, speciesOf) {
+    const amounts = {};
+    usedBatches.forEach(batch => {
+        const code = speciesOf(batch.herbID);
+        amounts[code] = (amounts[code] || 0) + convertQuantity(batch.unitsUsed, batch.unitType, formulation.contentUnit);
+    });
+    const total = Object.values(amounts).reduce((sum, amount) => sum + amount, 0);
+    const ingredients = formulation.ingredients.map(ingredient => {
+        const code = ingredientSpecies(ingredient);
+        return { ...ingredient, speciesCode: code, actualPercent: amounts[code] ? roundTo(amounts[code] / total * 100, 1) : 0 };
+    });
+    return {
+        ingredients,
+        offRecipe: ingredients.filter(i => Math.abs(i.actualPercent - i.proportionPercent) > i.tolerancePercent),
+        unexpected: Object.keys(amounts).filter(code => !ingredients.some(i => i.speciesCode === code))
+    };
+}
+
+function describeComposition(ingredients) {
+    return ingredients.map(i => `${i.herbName} ${i.proportionPercent}% ±${i.tolerancePercent}`
+        + (i.actualPercent === undefined ? '' : ` (${i.actualPercent}% used)`)).join(', ');
+}
+
+function describeYield(check) {
+    const direction = check.deviationPercent < 0 ? 'less' : 'more';
+    return `${check.actualInput} ${check.contentUnit} of herb used where the formulation needs ${check.expectedInput} ${check.contentUnit} `
+        + `(${Math.abs(check.deviationPercent)}% ${direction}; tolerance ±${check.tolerancePercent}%)`;
+}
+
+//---------------------------------------------------------
+// Medicine Distribution
+//---------------------------------------------------------
+// Finished units leave the manufacturer as serial ranges, one tier at a time. Pharmacies dispense to patients, so they ship nothing on.
+const MEDICINE_ROUTES = {
+    manufacturer: ['distributor'],
+    distributor: ['distributor', 'retailer', 'pharmacy'],
+    retailer: ['pharmacy']
+};
+
+const SHIPMENT_STATUSES = {
+    in_transit: 'In Transit',
+    received: 'Received',
+    discrepancy: 'Received with Count Discrepancy'
+};
+
+// Unit IDs are the batch ID and the serial number, zero-padded to the width fixed when the batch's serials were issued.
+function formatSerial(batchID, serial, width) {
+    return `${batchID}-${String(serial).padStart(width, '0')}`;
+}
+
+// A holding is a sorted list of non-overlapping [first, last] serial numbers; adjacent ranges are kept merged.
+function countUnits(ranges) {
+    return ranges.reduce((total, [first, last]) => total + last - first + 1, 0);
+}
+
+function addUnitRange(ranges, first, last) {
+    const merged = [];
+    [...ranges, [first, last]].sort((a, b) => a[0] - b[0]).forEach(([from, to]) => {
+        const previous = merged[merged.length - 1];
+        if (previous && from <= previous[1] + 1) previous[1] = Math.max(previous[1], to);
+        else merged.push([from, to]);
+    });
+    return merged;
+}
+
+// Returns the holding without first..last, or null when those units are not all in it.
+function removeUnitRange(ranges, first, last) {
+    const holding = ranges.find(([from, to]) => from <= first && last <= to);
+    if (!holding) return null;
+    const remaining = ranges.filter(range => range !== holding);
+    if (holding[0] < first) remaining.push([holding[0], first - 1]);
+    if (last < holding[1]) remaining.push([last + 1, holding[1]]);
+    return remaining.sort((a, b) => a[0] - b[0]);
+}
+
+// Reads serial numbers written as "12-15, 20" into a holding; null when any part is not a number or range.
+function parseUnitRanges(text) {
+    let ranges = [];
+    for (const part of String(text || '').split(',').map(piece => piece.trim()).filter(Boolean)) {
+        const match = part.match(/^(\d+)(?:\s*[-–]\s*(\d+))?$/);
+        if (!match) return null;
+        const first = parseInt(match[1], 10);
+        const last = match[2] === undefined ? first : parseInt(match[2], 10);
+        if (first < 1 || last < first) return null;
+        ranges = addUnitRange(ranges, first, last);
+    }
+    return ranges;
+}
+
+function describeUnitRanges(ranges) {
+    return ranges.map(([first, last]) => (first === last ? `${first}` : `${first}–${last}`)).join(', ');
+}
+
+// Approximate extent of the places participants are registered in, as a centre and a radius that covers the area.
+// Coarse on purpose: a scan is only called outside when it is clearly beyond the whole region.
+const REGION_AREAS = {
+    'delhi': { lat: 28.65, lng: 77.15, radiusKm: 40 },
+    'new delhi': { lat: 28.61, lng: 77.21, radiusKm: 40 },
+    'uttarakhand': { lat: 30.07, lng: 79.02, radiusKm: 200 },
+    'dehradun': { lat: 30.32, lng: 78.03, radiusKm: 30 },
+    'haridwar': { lat: 29.95, lng: 78.16, radiusKm: 30 },
+    'rishikesh': { lat: 30.09, lng: 78.27, radiusKm: 20 },
+    'uttar pradesh': { lat: 26.85, lng: 80.91, radiusKm: 450 },
+    'himachal pradesh': { lat: 31.9, lng: 77.2, radiusKm: 200 },
+    'haryana': { lat: 29.06, lng: 76.09, radiusKm: 200 },
+    'rajasthan': { lat: 26.9, lng: 73.8, radiusKm: 450 },
+    'madhya pradesh': { lat: 23.47, lng: 77.95, radiusKm: 450 },
+    'maharashtra': { lat: 19.6, lng: 75.5, radiusKm: 450 },
+    'mumbai': { lat: 19.08, lng: 72.88, radiusKm: 40 },
+    'kerala': { lat: 10.35, lng: 76.5, radiusKm: 300 },
+    'karnataka': { lat: 14.7, lng: 76.2, radiusKm: 350 }
+};
+
+function regionArea(place) {
+    const coordinates = parseCoordinates(place);
+    if (coordinates) return { ...coordinates, radiusKm: 0 };
+    return REGION_AREAS[String(place).trim().toLowerCase()] || null;
+}
+
+// 'inside', 'outside', or 'unchecked' when the scan location or the region cannot be placed. Coordinates (as written by
+// Auto-Capture) and known place names are compared by distance; other place names only count as inside when the text matches.
+function checkScanRegion(location, region) {
+    if (!location || !region) return 'unchecked';
+    const place = location.trim().toLowerCase();
+    const area = region.trim().toLowerCase();
+    if (place.includes(area) || area.includes(place)) return 'inside';
+    const scanned = regionArea(location);
+    const registered = regionArea(region);
+    if (!scanned || !registered) return 'unchecked';
+    return distanceKm(scanned, registered) <= registered.radiusKm + scanned.radiusKm ? 'inside' : 'outside';
+}
+
+//---------------------------------------------------------
+// Chain Replay
+//---------------------------------------------------------
+// Contract blocks now leave reputation to separate reputationChange events. Older blocks carried the change themselves,
+// and blocks from before policy versions implied the version 1 amounts; replay has to honour both.
+function impliedReputationDeltas(data, herb) {
+    if (data.reputationDeltas) return data.reputationDeltas;
+    if (data.policyVersion !== undefined) return {};
+    const { receipt, supplyQuality, production } = DEFAULT_POLICY.reputationDeltas;
+    const collectorID = data.collectorID || (herb ? herb.history[0].collectorID : undefined);
+    switch (data.type) {
+        case 'fraudAlert':
+            return alertReputationDeltas({ ...data, collectorID });
+        case 'qualityFraudAlert':
+            return alertReputationDeltas(data);
+        case 'verifyReceipt':
+            return deltasForParticipants(receipt.accepted, { collector: collectorID, supplier: data.supplierID });
+        case 'verifySuppliedBatch': {
+            const transfer = herb ? herb.history.find(h => h.type === 'transferHerb' && h.toID === data.manufacturerID) : null;
+            return deltasForParticipants(supplyQuality.passed, { supplier: data.supplierID || (transfer && transfer.fromID), manufacturer: data.manufacturerID });
+        }
+        case 'useHerb':
+            return deltasForParticipants(production.produced, { manufacturer: data.manufacturerID });
+        default:
+            return {};
+    }
+}
+
+// What a contract block written with reputation events does to reputation, under the policy it was written under.
+// Blocks that carry or imply their own change (see above) cause no events, so this is empty for them.
+function reputationDeltasCausedBy(blockchain, causeIndex) {
+    const data = blockchain.chain[causeIndex].data;
+    if (data.policyVersion === undefined || data.reputationDeltas) return {};
+    const policy = blockchain.getPolicy(data.policyVersion);
+    const { receipt, supplyQuality, production } = policy.reputationDeltas;
+    const herb = blockchain.metadata[data.herbID];
+    switch (data.type) {
+        case 'fraudAlert':
+            return deltasForParticipants(receipt.disputed, { collector: data.collectorID, supplier: data.supplierID });
+        case 'verifyReceipt':
+            return deltasForParticipants(receipt[data.outcome || 'accepted'], { collector: herb.history[0].collectorID, supplier: data.supplierID });
+        case 'qualityFraudAlert':
+            return deltasForParticipants(supplyQuality.failed, { supplier: data.supplierID, manufacturer: data.manufacturerID });
+        case 'verifySuppliedBatch': {
+            const transfer = herb.history.find(h => h.type === 'transferHerb' && h.toID === data.manufacturerID);
+            return deltasForParticipants(supplyQuality.passed, { supplier: transfer && transfer.fromID, manufacturer: data.manufacturerID });
+        }
+        case 'useHerb':
+            return deltasForParticipants(production.produced, { manufacturer: data.manufacturerID });
+        case 'resolveDispute': {
+            const share = policy.disputeReversalShare[data.outcome];
+            const reversal = {};
+            Object.entries(blockchain.getReputationDeltas(blockchain.disputes[data.disputeID].alertIndex)).forEach(([participantID, delta]) => {
+                const amount = -Math.round(delta * share);
+                if (amount !== 0) reversal[participantID] = amount;
+            });
+            return reversal;
+        }
+        default:
+            return {};
+    }
+}
+
+// A reputation change must be one the contracts record: signed by whoever wrote the earlier block that caused it, for the amount
+// that block gives the participant, and only once. The one change without a cause block is a manufacturer's own penalty for blocked production.
+function checkReputationChange(blockchain, data, index) {
+    if (data.causeIndex === null) {
+        const signer = blockchain.participants[data.signerID];
+        const penalty = blockchain.getPolicy(data.policyVersion || 1).reputationDeltas.production.qualityBlocked.manufacturer;
+        if (!signer || signer.role !== 'manufacturer' || data.participantID !== data.signerID || data.delta !== penalty) {
+            throw new Error(`only a manufacturer's own ${penalty} penalty for blocked production may be recorded without a cause block.`);
+        }
+        return;
+    }
+    if (!Number.isInteger(data.causeIndex) || data.causeIndex <= 0 || data.causeIndex >= index) {
+        throw new Error(`its cause, block ${data.causeIndex}, is not an earlier block on the chain.`);
+    }
+    const cause = blockchain.chain[data.causeIndex].data;
+    const rule = BLOCK_SIGNERS[cause.type];
+    if (!rule || cause[rule.actor] !== data.signerID) {
+        throw new Error(`it is signed by ${data.signerID}, who did not write block ${data.causeIndex} (${cause.type}).`);
+    }
+    const expected = reputationDeltasCausedBy(blockchain, data.causeIndex)[data.participantID];
+    if (expected !== data.delta) {
+        throw new Error(`block ${data.causeIndex} (${cause.type}) changes ${data.participantID}'s reputation by ${expected ?? 0}, not ${data.delta}.`);
+    }
+    const repeated = blockchain.chain.slice(data.causeIndex + 1, index)
+        .some(block => block.data.type === 'reputationChange' && block.data.causeIndex === data.causeIndex && block.data.participantID === data.participantID);
+    if (repeated) throw new Error(`the change block ${data.causeIndex} makes to ${data.participantID}'s reputation is already recorded.`);
+}
+
+function replayDisputeStep(blockchain, data) {
+    blockchain.applyDisputeStep(data);
+    blockchain.metadata[data.herbID].history.push(data);
+}
+
+// Everything the reducers write. replayChain starts each of these afresh; a new block is folded into a copy of them first.
+const DERIVED_STATE_FIELDS = [
+    'metadata', 'inventories', 'reputationScores', 'policies', 'policy', 'policyVersion', 'participants', 'publicKeys',
+    'serialRegistry', 'formulations', 'yieldAnomalies', 'medicineStock', 'shipments', 'recalls', 'rulings', 'disputes'
+];
+
+// Who may write each kind of block: the field naming the acting participant, who must be the signer, and the roles that
+// participant may hold. Checked on replay, so a chain from elsewhere cannot grant itself what the contracts refuse.
+// Dispute parties are not listed; reputation changes are judged against the block that caused them by checkReputationChange.
+const BLOCK_SIGNERS = {
+    registerParticipant: { actor: 'adminID', roles: ['admin'] },
+    setPolicy: { actor: 'adminID', roles: ['admin'] },
+    registerHerb: { actor: 'collectorID', roles: ['collector'] },
+    verifyReceipt: { actor: 'supplierID', roles: ['supplier'] },
+    fraudAlert: { actor: 'supplierID', roles: ['supplier'] },
+    transferHerb: { actor: 'fromID', roles: ['supplier'] },
+    splitLot: { actor: 'supplierID', roles: ['supplier'] },
+    mergeLot: { actor: 'supplierID', roles: ['supplier'] },
+    verifySuppliedBatch: { actor: 'manufacturerID', roles: ['manufacturer'] },
+    qualityFraudAlert: { actor: 'manufacturerID', roles: ['manufacturer'] },
+    registerFormulation: { actor: 'manufacturerID', roles: ['manufacturer'] },
+    yieldAnomaly: { actor: 'manufacturerID', roles: ['manufacturer'] },
+    useHerb: { actor: 'manufacturerID', roles: ['manufacturer'] },
+    issueSerials: { actor: 'manufacturerID', roles: ['manufacturer'] },
+    shipMedicine: { actor: 'fromID', roles: Object.keys(MEDICINE_ROUTES) },
+    receiveMedicine: { actor: 'receiverID', roles: ['distributor', 'retailer', 'pharmacy'] },
+    reinspectDispute: { actor: 'regulatorID', roles: ['regulator'] },
+    resolveDispute: { actor: 'regulatorID', roles: ['regulator'] },
+    regulatorRuling: { actor: 'regulatorID', roles: ['regulator'] },
+    recallBatch: { actor: 'recallerID', roles: ['manufacturer', 'regulator'] }
+};
+// Blocks that change the key directory or reputation are always signed; only older herb and medicine records may be unsigned.
+const MUST_BE_SIGNED = ['registerParticipant', 'rotateKey', 'reputationChange'];
+
+// Throws unless the block's signer was allowed to write it, judged against the participants registered before it.
+function checkBlockSigner(blockchain, data) {
+    if (!data.signature) {
+        if (MUST_BE_SIGNED.includes(data.type)) throw new Error(`a ${data.type} block must be signed.`);
+        return;
+    }
+    const signer = blockchain.participants[data.signerID];
+    // The first administrator registers itself before anyone else is registered.
+    if (data.type === 'registerParticipant' && Object.keys(blockchain.participants).length === 0) {
+        if (data.role !== 'admin' || data.signerID !== data.participantID || data.adminID !== data.participantID) {
+            throw new Error('the first participant on a ledger must be an administrator registering itself.');
+        }
+        return;
+    }
+    if (!signer) throw new Error(`${data.signerID} signed it before being registered.`);
+    if (data.type === 'rotateKey') {
+        if (data.signerID !== data.requesterID || (data.requesterID !== data.participantID && signer.role !== 'admin')) {
+            throw new Error(`${data.signerID} may not replace the key of ${data.participantID}.`);
+        }
+        return;
+    }
+    const rule = BLOCK_SIGNERS[data.type];
+    if (!rule) return;
+    if (data[rule.actor] !== data.signerID) throw new Error(`it acts for ${data[rule.actor]} but is signed by ${data.signerID}.`);
+    if (!rule.roles.includes(signer.role)) {
+        throw new Error(`${data.signerID} is registered as ${PARTICIPANT_ROLES[signer.role].label}, which may not write ${data.type} blocks.`);
+    }
+}
+
+// One reducer per block type. Each folds a block into the registries, inventories and scores; contracts never write that state directly.
+const BLOCK_REDUCERS = {
+    setPolicy: (blockchain, data) => blockchain.applyPolicy(data),
+    registerParticipant: (blockchain, data) => blockchain.applyParticipant(data),
+    rotateKey: (blockchain, data) => blockchain.applyKeyRotation(data),
+    // Older ledgers overwrote the status field on this block in place, so it is never read back.
+    registerHerb: (blockchain, data) => {
+        blockchain.metadata[data.herbID] = {
+            name: data.name, speciesCode: data.speciesCode || speciesCodeForName(data.name), location: data.location, quality: data.quality,
+            history: [data], status: 'pending_verification'
+        };
+    },
+    verifyReceipt: (blockchain, data) => {
+        const herb = blockchain.metadata[data.herbID];
+        herb.status = 'verified';
+        herb.history.push(data);
+        blockchain.inventoryOf(data.supplierID)[data.herbID] = { name: herb.name, quantity: data.verifiedQuantity, unitType: data.unitType || herb.history[0].unitType };
+    },
+    fraudAlert: (blockchain, data) => {
+        const herb = blockchain.metadata[data.herbID];
+        herb.status = 'disputed';
+        herb.history.push(data);
+    },
+    transferHerb: (blockchain, data) => {
+        const herb = blockchain.metadata[data.herbID];
+        const held = blockchain.inventoryOf(data.fromID)[data.herbID];
+        if (held) held.quantity = roundQuantity(held.quantity - convertQuantity(data.weight, data.unitType, held.unitType));
+        const toInventory = blockchain.inventoryOf(data.toID);
+        if (!toInventory[data.herbID]) {
+            toInventory[data.herbID] = { name: herb.name, quantity: 0, unitType: data.unitType };
+        }
+        const received = toInventory[data.herbID];
+        received.quantity = roundQuantity(received.quantity + convertQuantity(data.weight, data.unitType, received.unitType));
+        received.status = 'pending_manufacturer_verification';
+        herb.history.push(data);
+    },
+    // Child lots carry the parent's species and verified status; the parent keeps whatever was not split off.
+    splitLot: (blockchain, data) => {
+        const parent = blockchain.metadata[data.herbID];
+        const inventory = blockchain.inventoryOf(data.supplierID);
+        const held = inventory[data.herbID];
+        held.quantity = roundQuantity(held.quantity - data.children.reduce((total, child) => total + child.quantity, 0));
+        parent.history.push(data);
+        data.children.forEach(child => {
+            blockchain.metadata[child.herbID] = {
+                name: parent.name, speciesCode: parent.speciesCode, location: parent.location, quality: parent.quality,
+                history: [data], status: 'verified', parentLots: [data.herbID]
+            };
+            inventory[child.herbID] = { name: parent.name, quantity: child.quantity, unitType: data.unitType };
+        });
+    },
+    mergeLot: (blockchain, data) => {
+        const inventory = blockchain.inventoryOf(data.supplierID);
+        data.parents.forEach(parent => {
+            const held = inventory[parent.herbID];
+            held.quantity = roundQuantity(held.quantity - convertQuantity(parent.quantity, parent.unitType, held.unitType));
+            blockchain.metadata[parent.herbID].history.push(data);
+        });
+        blockchain.metadata[data.herbID] = {
+            name: data.name, speciesCode: data.speciesCode || blockchain.metadata[data.parents[0].herbID].speciesCode, location: null, quality: null,
+            history: [data], status: 'verified', parentLots: data.parents.map(parent => parent.herbID)
+        };
+        inventory[data.herbID] = { name: data.name, quantity: data.quantity, unitType: data.unitType };
+    },
+    verifySuppliedBatch: (blockchain, data) => {
+        blockchain.inventoryOf(data.manufacturerID)[data.herbID].status = 'verified_by_manufacturer';
+        blockchain.metadata[data.herbID].history.push(data);
+    },
+    qualityFraudAlert: (blockchain, data) => {
+        blockchain.inventoryOf(data.manufacturerID)[data.herbID].status = 'disputed_by_manufacturer';
+        blockchain.metadata[data.herbID].history.push(data);
+    },
+    useHerb: (blockchain, data) => {
+        data.usedBatches.forEach(batch => {
+            const held = blockchain.inventoryOf(data.manufacturerID)[batch.herbID];
+            if (!held) return;
+            held.quantity = roundQuantity(held.quantity - convertQuantity(batch.unitsUsed, batch.unitType, held.unitType));
+            blockchain.metadata[batch.herbID].history.push(data);
+        });
+    },
+    // Versions of a product's formulation are kept in order; production names the version it was checked against.
+    registerFormulation: (blockchain, data) => {
+        blockchain.formulations[data.productID] = [...(blockchain.formulations[data.productID] || []), data];
+    },
+    yieldAnomaly: (blockchain, data) => {
+        blockchain.yieldAnomalies.push(data);
+    },
+    issueSerials: (blockchain, data) => {
+        blockchain.serialRegistry[data.batchID] = data;
+        blockchain.medicineStockOf(data.manufacturerID)[data.batchID] = [[1, data.issuedCount]];
+    },
+    // Units leave the sender's stock when shipped and reach the receiver's only once the receipt is signed.
+    shipMedicine: (blockchain, data) => {
+        const stock = blockchain.medicineStockOf(data.fromID);
+        const remaining = removeUnitRange(stock[data.batchID] || [], data.firstUnit, data.lastUnit);
+        if (!remaining) throw new Error(`${data.fromID} did not hold units ${data.firstSerial} to ${data.lastSerial}`);
+        stock[data.batchID] = remaining;
+        blockchain.shipments[data.shipmentID] = { ...data, status: 'in_transit', receipt: null };
+    },
+    // Units reported missing stay out of the receiver's stock. Receipts written before missing units were listed credited the whole range.
+    receiveMedicine: (blockchain, data) => {
+        const shipment = blockchain.shipments[data.shipmentID];
+        shipment.status = data.receivedCount === shipment.unitCount ? 'received' : 'discrepancy';
+        shipment.receipt = data;
+        const received = (data.missingUnits || []).reduce((ranges, [first, last]) => removeUnitRange(ranges, first, last), [[shipment.firstUnit, shipment.lastUnit]]);
+        const stock = blockchain.medicineStockOf(shipment.toID);
+        stock[shipment.batchID] = received.reduce((ranges, [first, last]) => addUnitRange(ranges, first, last), stock[shipment.batchID] || []);
+    },
+    recallBatch: (blockchain, data) => {
+        blockchain.recalls[data.targetID] = data;
+        if (data.targetKind === 'herb') blockchain.metadata[data.targetID].history.push(data);
+    },
+    regulatorRuling: (blockchain, data) => blockchain.addRuling(data),
+    openDispute: replayDisputeStep,
+    submitDisputeEvidence: replayDisputeStep,
+    reinspectDispute: replayDisputeStep,
+    // Overturned and partially accepted outcomes make the batch usable again, as the original verification would have.
+    resolveDispute: (blockchain, data) => {
+        replayDisputeStep(blockchain, data);
+        const dispute = blockchain.disputes[data.disputeID];
+        if (!(blockchain.getPolicy(data.policyVersion || 1).disputeReversalShare[data.outcome] > 0)) return;
+        const alert = blockchain.chain[dispute.alertIndex].data;
+        if (dispute.disputeKind === 'weight') {
+            const herb = blockchain.metadata[data.herbID];
+            herb.status = 'verified';
+            blockchain.inventoryOf(alert.supplierID)[data.herbID] = { name: herb.name, quantity: data.restoredQuantity, unitType: data.unitType };
+        } else {
+            blockchain.inventoryOf(alert.manufacturerID)[data.herbID].status = 'verified_by_manufacturer';
+        }
+    },
+    reputationChange: (blockchain, data, index) => {
+        checkReputationChange(blockchain, data, index);
+        blockchain.applyReputationDeltas({ [data.participantID]: data.delta });
+    }
+};
+
+// Lists every place where the state saved beside the chain disagrees with the state replayed from it.
+function compareDerivedState(stored, blockchain) {
+    const mismatches = [];
+    const sameQuantity = (a, b) => (a === undefined ? a === b : roundQuantity(a) === roundQuantity(b));
+    const ids = (...maps) => [...new Set(maps.flatMap(map => Object.keys(map || {})))];
+
+    ids(stored.reputationScores, blockchain.reputationScores).forEach(id => {
+        const saved = stored.reputationScores[id] ?? blockchain.policy.initialReputation;
+        const derived = blockchain.getReputation(id);
+        if (saved !== derived) mismatches.push(`Reputation of ${id}: saved ${saved}, chain gives ${derived}.`);
+    });
+    ids(stored.inventories, blockchain.inventories).forEach(holderID => {
+        const saved = stored.inventories[holderID] || {};
+        const derived = blockchain.inventories[holderID] || {};
+        ids(saved, derived).forEach(herbID => {
+            const before = saved[herbID] || {};
+            const after = derived[herbID] || {};
+            if (!sameQuantity(before.quantity, after.quantity)) {
+                mismatches.push(`Stock of ${herbID} held by ${holderID}: saved ${before.quantity ?? 'none'}, chain gives ${after.quantity ?? 'none'}.`);
+            }
+            if (before.status !== after.status) {
+                mismatches.push(`Status of ${herbID} held by ${holderID}: saved ${before.status || 'none'}, chain gives ${after.status || 'none'}.`);
+            }
+        });
+    });
+    ids(stored.metadata, blockchain.metadata).forEach(herbID => {
+        const saved = stored.metadata[herbID];
+        const derived = blockchain.metadata[herbID];
+        if (!derived) mismatches.push(`Herb ${herbID} is in saved state but was never registered on the chain.`);
+        else if (!saved) mismatches.push(`Herb ${herbID} is on the chain but missing from saved state.`);
+        else if (saved.status !== derived.status) mismatches.push(`Status of herb ${herbID}: saved ${saved.status}, chain gives ${derived.status}.`);
+    });
+    return mismatches;
+}
+
+//---------------------------------------------------------
+// Participant Registry
+//---------------------------------------------------------
+const PARTICIPANT_ROLES = {
+    admin: { label: 'Administrator', idPrefix: 'ADMIN', hasReputation: false, hasInventory: false },
+    collector: { label: 'Herb Collector', idPrefix: 'COLLECTOR', hasReputation: true, hasInventory: false },
+    supplier: { label: 'Supplier', idPrefix: 'SUPPLIER', hasReputation: true, hasInventory: true },
+    manufacturer: { label: 'Manufacturer', idPrefix: 'MANU', hasReputation: true, hasInventory: true },
+    regulator: { label: 'Regulator', idPrefix: 'REG', hasReputation: false, hasInventory: false },
+    distributor: { label: 'Distributor', idPrefix: 'DIST', hasReputation: false, hasInventory: false },
+    retailer: { label: 'Retailer', idPrefix: 'RETAIL', hasReputation: false, hasInventory: false },
+    pharmacy: { label: 'Pharmacy', idPrefix: 'PHARM', hasReputation: false, hasInventory: false },
+};
+
+// Seeded on a fresh ledger (and on ledgers that predate the registry) so the original demo identities keep working.
+const DEFAULT_PARTICIPANTS = [
+    { participantID: 'ADMIN-001', role: 'admin', legalName: 'HerbalChain Consortium Administrator', licenceNumber: 'HC-ADMIN-001', region: 'New Delhi' },
+    { participantID: 'COLLECTOR-001', role: 'collector', legalName: 'Uttarakhand Herb Collectors Cooperative', licenceNumber: 'UK-COL-2025-001', region: 'Uttarakhand' },
+    { participantID: 'SUPPLIER-001', role: 'supplier', legalName: 'Himalayan Herbs Supply Co.', licenceNumber: 'DL-SUP-2025-001', region: 'Delhi' },
+    { participantID: 'MANU-001', role: 'manufacturer', legalName: 'Dabur India Limited', licenceNumber: 'AYUSH-MFG-2025-001', region: 'Uttar Pradesh' },
+    { participantID: 'REG-001', role: 'regulator', legalName: 'Ministry of AYUSH Drug Control Cell', licenceNumber: 'AYUSH-REG-001', region: 'New Delhi' },
+    { participantID: 'DIST-001', role: 'distributor', legalName: 'North India Ayurveda Distributors Pvt. Ltd.', licenceNumber: 'DL-DIST-2025-001', region: 'Delhi' },
+    { participantID: 'RETAIL-001', role: 'retailer', legalName: 'Doon Ayurvedic Stores', licenceNumber: 'UK-RET-2025-001', region: 'Dehradun' },
+    { participantID: 'PHARM-001', role: 'pharmacy', legalName: 'Haridwar Ayush Pharmacy', licenceNumber: 'UK-PHARM-2025-001', region: 'Haridwar' },
+];
+
+class Blockchain {
+    // `saved` comes from loadLedger(). Only the chain and the off-chain scan log are taken from it; the derived-state snapshot is used solely to detect tampering.
+    constructor(saved = null) {
+        if (saved) {
+            this.chain = saved.chain.map(Block.fromJSON);
+            this.hashAlgorithm = saved.hashAlgorithm;
+            this.qrScanLog = saved.qrScanLog;
+        } else {
+            this.chain = [this.createGenesisBlock()];
+            this.hashAlgorithm = HASH_ALGORITHM;
+            this.qrScanLog = {};
+        }
+        this.stateMismatches = this.replayChain();
+        if (saved && saved.storedState) this.stateMismatches.push(...compareDerivedState(saved.storedState, this));
+        this.integrity = { valid: true, index: -1 };
+        this.signatureChecks = { valid: 0, invalid: [], unsigned: [] };
+        this.verifyKeyCache = {};
+        this.writeQueue = Promise.resolve();
+        this.pendingWrites = 0;
+        // Set by the UI; called with true while a contract is running and false once none are.
+        this.onWritesPending = null;
+    }
+
+    async initialize() {
+        if (this.hashAlgorithm !== HASH_ALGORITHM) {
+            // Ledgers saved before SHA-256 carry truncated base64 "hashes". They are sealed with real digests only if every old hash
+            // and link holds and the blocks replay to the state saved with them, so an edited block is reported rather than sealed in.
+            this.integrity = await this.validateChain();
+            if (!this.integrity.valid) return;
+            await this.rehashChain();
+            this.hashAlgorithm = HASH_ALGORITHM;
+        } else if (!this.chain[0].hash) {
+            this.chain[0].hash = await this.chain[0].calculateHash();
+        }
+        if (Object.keys(this.participants).length === 0) {
+            await this.seedDefaultParticipants();
+        }
+        this.integrity = await this.validateChain();
+        this.signatureChecks = await this.verifySignatures(this.chain.slice(1));
+    }
+
+    // Rebuilds every registry, inventory and score from the blocks alone. Returns the blocks that could not be replayed.
+    replayChain() {
+        this.metadata = {};
+        this.inventories = {};
+        this.reputationScores = {};
+        this.policies = [{ version: 1, policy: DEFAULT_POLICY, setBy: null, note: 'Built-in default policy', timestamp: 0 }];
+        this.policy = DEFAULT_POLICY;
+        this.policyVersion = 1;
+        this.participants = {};
+        this.publicKeys = {};
+        this.serialRegistry = {};
+        this.formulations = {};
+        this.yieldAnomalies = [];
+        this.medicineStock = {};
+        this.shipments = {};
+        this.recalls = {};
+        this.rulings = {};
+        this.disputes = {};
+        const failures = [];
+        this.chain.forEach((block, index) => {
+            try {
+                this.applyBlock(block, index);
+            } catch (e) {
+                failures.push(`Block ${index} (${block.data.type}) could not be replayed: ${e.message}`);
+            }
+        });
+        return failures;
+    }
+
+    // `index` is where the block sits, or will once appended.
+    applyBlock(block, index = this.chain.length) {
+        const reducer = BLOCK_REDUCERS[block.data.type];
+        if (!reducer) return;
+        checkBlockSigner(this, block.data);
+        reducer(this, block.data, index);
+        this.applyReputationDeltas(impliedReputationDeltas(block.data, this.metadata[block.data.herbID]));
+    }
+
+    // Folds a block into a copy of the state and keeps the copy only if every reducer succeeded, so a block that
+    // cannot be replayed leaves the state as it was. The copy reads anything else, such as the chain, through this ledger.
+    // `check` may inspect the copy and throw to reject the block as well.
+    applyToCopy(block, check = () => {}) {
+        const draft = Object.create(this);
+        DERIVED_STATE_FIELDS.forEach(field => {
+            draft[field] = structuredClone(this[field]);
+        });
+        draft.applyBlock(block);
+        check(draft);
+        DERIVED_STATE_FIELDS.forEach(field => {
+            this[field] = draft[field];
+        });
+    }
+
+    // Runs a task as one turn of the write queue: a contract's checks and the blocks it appends happen with nothing else in between.
+    // A task that throws rejects for its caller only; the queue goes on to the next one.
+    serialize(task) {
+        const setPending = change => {
+            this.pendingWrites += change;
+            if (this.onWritesPending) this.onWritesPending(this.pendingWrites > 0);
+        };
+        setPending(1);
+        const result = this.writeQueue.then(task);
+        this.writeQueue = result.catch(() => {}).then(() => setPending(-1));
+        return result;
+    }
+
+    // Blocks another window has already stored, continuing this chain. Returns false, appending nothing, if this window
+    // added blocks of its own in the meantime.
+    appendStoredBlocks(blocks, expectedLength) {
+        return this.serialize(async () => {
+            if (this.chain.length !== expectedLength) return false;
+            blocks.forEach(block => {
+                this.applyToCopy(block);
+                this.chain.push(block);
+            });
+            const checks = await this.verifySignatures(blocks);
+            this.signatureChecks.valid += checks.valid;
+            this.signatureChecks.invalid.push(...checks.invalid);
+            this.signatureChecks.unsigned.push(...checks.unsigned);
+            return true;
+        });
+    }
+
+    inventoryOf(participantID) {
+        if (!this.inventories[participantID]) this.inventories[participantID] = {};
+        return this.inventories[participantID];
+    }
+
+    // Finished medicine units held, by batch ID; see addUnitRange for the shape of each holding.
+    medicineStockOf(participantID) {
+        if (!this.medicineStock[participantID]) this.medicineStock[participantID] = {};
+        return this.medicineStock[participantID];
+    }
+
+    async rehashChain() {
+        let previousHash = '0';
+        for (const block of this.chain) {
+            block.previousHash = previousHash;
+            block.hash = await block.calculateHash();
+            previousHash = block.hash;
+        }
+    }
+
+    async seedDefaultParticipants() {
+        const [admin] = DEFAULT_PARTICIPANTS;
+        for (const p of DEFAULT_PARTICIPANTS) {
+            await this.registerParticipant(admin.participantID, p.participantID, p.role, p.legalName, p.licenceNumber, p.region);
+        }
+    }
+
+    // Keeps the in-memory registry, key directory, reputation and inventories in step with a registerParticipant block.
+    applyParticipant(data) {
+        const { participantID, role, legalName, licenceNumber, region, publicKey, keyFingerprint, timestamp } = data;
+        this.participants[participantID] = { participantID, role, legalName, licenceNumber, region, registeredOn: timestamp };
+        this.publicKeys[participantID] = { publicKey, fingerprint: keyFingerprint, previousKeys: [] };
+        const roleInfo = PARTICIPANT_ROLES[role] || {};
+        if (roleInfo.hasReputation && this.reputationScores[participantID] === undefined) {
+            this.reputationScores[participantID] = this.policy.initialReputation;
+        }
+        if (roleInfo.hasInventory && !this.inventories[participantID]) {
+            this.inventories[participantID] = {};
+        }
+    }
+
+    // The retired key stays on record so blocks it signed before the rotation still verify.
+    applyKeyRotation(data) {
+        const current = this.publicKeys[data.participantID];
+        if (!current) throw new Error(`${data.participantID} has no registered key to rotate.`);
+        const retired = { publicKey: current.publicKey, fingerprint: current.fingerprint, retiredOn: data.timestamp };
+        this.publicKeys[data.participantID] = {
+            publicKey: data.publicKey,
+            fingerprint: data.keyFingerprint,
+            previousKeys: [...(current.previousKeys || []), retired],
+        };
+    }
+
+    // The key a signer had registered under this fingerprint at the given time, or null. A rotation block is signed by the key it retires.
+    registeredKey(signerID, fingerprint, timestamp) {
+        const registered = this.publicKeys[signerID];
+        if (!registered) return null;
+        if (registered.fingerprint === fingerprint) return registered;
+        return (registered.previousKeys || []).find(key => key.fingerprint === fingerprint && timestamp <= key.retiredOn) || null;
+    }
+
+    getParticipantsByRole(role) {
+        return Object.values(this.participants).filter(p => p.role === role);
+    }
+
+    nextParticipantID(role) {
+        const prefix = PARTICIPANT_ROLES[role].idPrefix;
+        const count = Object.keys(this.participants).filter(id => id.startsWith(`${prefix}-`)).length;
+        return `${prefix}-${String(count + 1).padStart(3, '0')}`;
+    }
+
+    // Returns a failed contract result when the participant may not act in the given role, otherwise null.
+    // `role` may be a list when more than one role can perform the action.
+    authorize(participantID, role) {
+        const participant = this.participants[participantID];
+        const roles = [].concat(role);
+        const roleLabels = roles.map(r => PARTICIPANT_ROLES[r].label).join(' or ');
+        if (!participantID) {
+            return { success: false, message: `Action Blocked: sign in as a ${roleLabels} first.` };
+        }
+        if (!participant) {
+            return { success: false, message: `Action Blocked: ${participantID} is not in the participant registry.` };
+        }
+        if (!roles.includes(participant.role)) {
+            return { success: false, message: `Action Blocked: ${participant.legalName} is registered as ${PARTICIPANT_ROLES[participant.role].label}, not ${roleLabels}.` };
+        }
+        if (this.getReputation(participantID) < this.policy.suspensionThreshold) {
+            return { success: false, message: `Action Blocked: Your reputation score is below ${this.policy.suspensionThreshold} and your account is suspended.` };
+        }
+        return null;
+    }
+
+    // Two registry entries are the same identity when they share an ID or a licence number.
+    isSameIdentity(participantA, participantB) {
+        if (participantA === participantB) return true;
+        const a = this.participants[participantA];
+        const b = this.participants[participantB];
+        return Boolean(a && b && a.licenceNumber.trim().toLowerCase() === b.licenceNumber.trim().toLowerCase());
+    }
+
+    createGenesisBlock() {
+        return new Block('2025-01-01', 'Genesis Block', '0');
+    }
+
+    getLatestBlock() {
+        return this.chain[this.chain.length - 1];
+    }
+
+    // Called from inside a serialized contract, so nothing else appends between linking and pushing. The block is folded
+    // into state exactly as a replay would before it joins the chain; one the reducers reject is never appended. Resolves to its index.
+    async addBlock(newBlock) {
+        if (this.hashAlgorithm !== HASH_ALGORITHM) {
+            throw new Error(`this ledger failed its check under the old hash scheme and was not migrated to ${HASH_ALGORITHM}, so it cannot be extended.`);
+        }
+        newBlock.previousHash = this.getLatestBlock().hash;
+        newBlock.hash = await newBlock.calculateHash();
+        this.applyToCopy(newBlock);
+        this.chain.push(newBlock);
+        return this.chain.length - 1;
+    }
+
+    // Recomputes every hash and previousHash link; reports the first block that fails. A ledger not yet sealed with SHA-256
+    // is checked under the old scheme, whose hashes do not cover block contents, so its blocks must also replay to the saved state.
+    async validateChain() {
+        const legacy = this.hashAlgorithm !== HASH_ALGORITHM;
+        const note = legacy ? ` The ledger was not migrated to ${HASH_ALGORITHM}; restore a backup or clear it.` : '';
+        for (let i = 0; i < this.chain.length; i++) {
+            const block = this.chain[i];
+            if (block.hash !== (legacy ? block.calculateLegacyHash() : await block.calculateHash())) {
+                return { valid: false, index: i, message: `Block ${i} has been altered: its contents no longer match its hash.${note}` };
+            }
+            const expectedPrevious = i === 0 ? '0' : this.chain[i - 1].hash;
+            if (block.previousHash !== expectedPrevious) {
+                return { valid: false, index: i, message: `Block ${i} is not linked to block ${i - 1}: previousHash does not match.${note}` };
+            }
+        }
+        if (legacy && this.stateMismatches.length > 0) {
+            return { valid: false, index: -1, message: `The blocks do not replay to the state saved with them: ${this.stateMismatches[0]}${note}` };
+        }
+        return { valid: true, index: -1, message: `All ${this.chain.length} blocks verified (${legacy ? 'legacy hashes' : HASH_ALGORITHM}).` };
+    }
+
+    // A participant registering itself signs with the key its own registration block carries.
+    async signBlockData(signerID, data) {
+        const registered = this.publicKeys[signerID];
+        const keys = await getSigningKeyPair(signerID, registered ? registered.fingerprint : data.keyFingerprint);
+        data.signerID = signerID;
+        const signature = await crypto.subtle.sign(SIGNATURE_PARAMS, keys.privateKey, signablePayload(data));
+        data.publicKeyFingerprint = keys.fingerprint;
+        data.signature = bytesToBase64(signature);
+        return data;
+    }
+
+    // Every contract block records the policy version its decision was made under.
+    async addSignedBlock(signerID, data) {
+        data.policyVersion = this.policyVersion;
+        await this.signBlockData(signerID, data);
+        return this.addBlock(new Block(data.timestamp, data));
+    }
+
+    // Resolves to 'valid', 'invalid' or 'unsigned' for a single block.
+    async verifyBlockSignature(block) {
+        const data = block.data;
+        if (!data || typeof data !== 'object' || !data.signature) return 'unsigned';
+        const registered = this.registeredKey(data.signerID, data.publicKeyFingerprint, data.timestamp);
+        if (!registered) return 'invalid';
+        return await this.verifyWithKey(registered, data.signature, signablePayload(data)) ? 'valid' : 'invalid';
+    }
+
+    async verifyWithKey(registered, signature, payloadBytes) {
+        if (!this.verifyKeyCache[registered.fingerprint]) {
+            this.verifyKeyCache[registered.fingerprint] = crypto.subtle.importKey('jwk', registered.publicKey, SIGNING_ALGORITHM, false, ['verify']);
+        }
+        try {
+            const key = await this.verifyKeyCache[registered.fingerprint];
+            return await crypto.subtle.verify(SIGNATURE_PARAMS, key, base64ToBytes(signature), payloadBytes);
+        } catch (e) {
+            return false;
+        }
+    }
+
+    // QR payloads carry the manufacturer's ID and a signature over every other field.
+    async signQrPayload(manufacturerID, payload) {
+        const registered = this.publicKeys[manufacturerID];
+        const keys = await getSigningKeyPair(manufacturerID, registered && registered.fingerprint);
+        const signed = { ...payload, manufacturerID };
+        signed.signature = bytesToBase64(await crypto.subtle.sign(SIGNATURE_PARAMS, keys.privateKey, signablePayload(signed)));
+        signed.publicKeyFingerprint = keys.fingerprint;
+        return signed;
+    }
+
+    // Older logs kept only the first scan time; they read back as a single consumer scan.
+    getScanHistory(unitID) {
+        const entry = this.qrScanLog[unitID];
+        if (!entry) return [];
+        if (entry.scans) return entry.scans;
+        return [{ timestamp: entry.firstScanTimestamp, role: 'consumer', location: '', coords: null }];
+    }
+
+    recordScan(unitID, scan) {
+        const scans = [...this.getScanHistory(unitID), scan];
+        this.qrScanLog[unitID] = { scans };
+        return scans;
+    }
+
+    // The serial number of a unit ID, or null when it is not written the way this batch's serials are.
+    serialNumberOf(batchID, unitID) {
+        const serials = this.serialRegistry[batchID];
+        if (!serials) return null;
+        const match = String(unitID || '').match(new RegExp(`^${escapeRegExp(batchID)}-(\\d+)$`));
+        if (!match || match[1].length !== serials.serialWidth) return null;
+        return parseInt(match[1], 10);
+    }
+
+    isIssuedSerial(batchID, unitID) {
+        const serial = this.serialNumberOf(batchID, unitID);
+        return serial !== null && serial >= 1 && serial <= this.serialRegistry[batchID].issuedCount;
+    }
+
+    // Every shipment that carried a unit, in chain order, and who has it now. Units in transit are still with the sender.
+    getUnitCustody(batchID, unitID) {
+        const serial = this.serialNumberOf(batchID, unitID);
+        const shipments = Object.values(this.shipments)
+            .filter(shipment => shipment.batchID === batchID && shipment.firstUnit <= serial && serial <= shipment.lastUnit);
+        const last = shipments[shipments.length - 1];
+        const production = this.serialRegistry[batchID];
+        // A unit reported missing on receipt has no custodian on record.
+        const missing = Boolean(last && last.receipt && (last.receipt.missingUnits || []).some(([first, lastUnit]) => first <= serial && serial <= lastUnit));
+        const custodianID = missing ? null : last ? (last.status === 'in_transit' ? last.fromID : last.toID) : production && production.manufacturerID;
+        return { shipments, custodianID, inTransit: Boolean(last && last.status === 'in_transit'), missing };
+    }
+
+    // A QR is authentic only if the signature checks out and every claim matches the signed useHerb block on chain.
+    async verifyQrPayload(payload) {
+        const reasons = [];
+        if (!payload.signature || !payload.manufacturerID) {
+            return { authentic: false, reasons: ['The QR code is not signed by any manufacturer.'] };
+        }
+        const manufacturer = this.participants[payload.manufacturerID];
+        const useBlock = this.chain.find(block => block.data.type === 'useHerb' && block.data.batchID === payload.batchID);
+        // Codes printed before fingerprints were added to them were signed with the key current at production.
+        const registered = manufacturer && this.registeredKey(
+            payload.manufacturerID,
+            payload.publicKeyFingerprint || (useBlock ? useBlock.data.publicKeyFingerprint : this.publicKeys[payload.manufacturerID].fingerprint),
+            useBlock ? useBlock.data.timestamp : Date.now()
+        );
+        if (!manufacturer || manufacturer.role !== 'manufacturer') {
+            reasons.push(`${payload.manufacturerID} is not a registered manufacturer.`);
+        } else if (!registered || !await this.verifyWithKey(registered, payload.signature, signablePayload(payload))) {
+            reasons.push(`The signature does not match ${manufacturer.legalName}'s registered key.`);
+        }
+        if (!useBlock) {
+            reasons.push(`No production of batch ${payload.batchID} is recorded on the blockchain.`);
+        } else {
+            const production = useBlock.data;
+            if (production.manufacturerID !== payload.manufacturerID) {
+                reasons.push(`Batch ${payload.batchID} was produced by a different manufacturer.`);
+            }
+            if (await this.verifyBlockSignature(useBlock) !== 'valid') {
+                reasons.push('The production record for this batch is not validly signed.');
+            }
+            const serials = this.serialRegistry[payload.batchID];
+            if (!serials) {
+                reasons.push(`No serial range was issued for batch ${payload.batchID}.`);
+            } else if (!this.isIssuedSerial(payload.batchID, payload.unitID)) {
+                reasons.push(`COUNTERFEIT: unit ${payload.unitID} is outside the ${serials.issuedCount} serials issued (${serials.firstSerial} to ${serials.lastSerial}).`);
+            }
+            const producedHerbs = production.usedBatches.map(b => b.herbID).sort().join(',');
+            if ([...(payload.sourceHerbs || [])].sort().join(',') !== producedHerbs) {
+                reasons.push('The source herbs on the QR code differ from the production record.');
+            }
+        }
+        return { authentic: reasons.length === 0, reasons, manufacturer, useBlock };
+    }
+
+    async verifySignatures(blocks) {
+        const result = { valid: 0, invalid: [], unsigned: [] };
+        for (const block of blocks) {
+            const status = await this.verifyBlockSignature(block);
+            if (status === 'valid') result.valid++;
+            else result[status].push(this.chain.indexOf(block));
+        }
+        return result;
+    }
+
+    // Smart Contracts
+    async registerParticipant(adminID, participantID, role, legalName, licenceNumber, region) {
+        const isBootstrap = Object.keys(this.participants).length === 0 && adminID === participantID && role === 'admin';
+        const denied = isBootstrap ? null : this.authorize(adminID, 'admin');
+        if (denied) return denied;
+        if (!PARTICIPANT_ROLES[role]) {
+            return { success: false, message: `Unknown role: ${role}.` };
+        }
+        if (!participantID || !legalName || !licenceNumber || !region) {
+            return { success: false, message: 'Participant ID, legal name, licence number and region are all required.' };
+        }
+        if (this.participants[participantID]) {
+            return { success: false, message: `Participant ${participantID} is already registered.` };
+        }
+        // A key already held here for this ID, say from a cleared ledger, is registered again rather than replaced.
+        const keys = loadKeyring()[participantID] || await createParticipantKeyPair();
+        storeParticipantKeyPair(participantID, keys);
+        const data = {
+            type: 'registerParticipant', adminID, participantID, role, legalName, licenceNumber, region,
+            publicKey: keys.publicKey, keyFingerprint: keys.fingerprint, timestamp: Date.now()
+        };
+        // The first administrator vouches for itself; every later registration is signed by an administrator.
+        await this.addSignedBlock(adminID, data);
+        return { success: true, message: `${legalName} registered as ${PARTICIPANT_ROLES[role].label} (${participantID}).` };
+    }
+
+    // Replaces a participant's signing key with one generated in this browser. The participant signs with its current key,
+    // or an administrator signs when that key has been lost.
+    async rotateParticipantKey(requesterID, participantID) {
+        const participant = this.participants[participantID];
+        if (!participant) {
+            return { success: false, message: `${participantID} is not in the participant registry.` };
+        }
+        const denied = requesterID === participantID ? this.authorize(requesterID, participant.role) : this.authorize(requesterID, 'admin');
+        if (denied) return denied;
+        const keys = await createParticipantKeyPair();
+        const data = {
+            type: 'rotateKey', requesterID, participantID, publicKey: keys.publicKey, keyFingerprint: keys.fingerprint,
+            previousFingerprint: this.publicKeys[participantID].fingerprint, timestamp: Date.now()
+        };
+        await this.addSignedBlock(requesterID, data);
+        storeParticipantKeyPair(participantID, keys);
+        return { success: true, message: `New signing key registered for ${participant.legalName} (${keys.fingerprint.substring(0, 16)}...).` };
+    }
+
+    // Herbs are registered by catalogue code. Red-listed species need a collection permit; out-of-season harvests are recorded with a warning.
+    async registerHerb(collectorID, herbID, speciesCode, location, quantity, unitType, quality, permitNumber = '') {
+        const denied = this.authorize(collectorID, 'collector');
+        if (denied) return denied;
+        if (this.metadata[herbID]) {
+            return { success: false, message: 'This herb ID already exists.' };
+        }
+        const species = SPECIES_CATALOGUE[speciesCode];
+        if (!species) {
+            return { success: false, message: 'Please select the herb species from the catalogue.' };
+        }
+        const status = CONSERVATION_STATUSES[species.conservationStatus];
+        const permit = (permitNumber || '').trim();
+        if (status.redListed && !permit) {
+            return { success: false, message: `Action Blocked: ${species.commonName} (${species.botanicalName}) is ${status.label}. Enter the collection permit number to register it.` };
+        }
+        if (!UNITS[unitType]) {
+            return { success: false, message: `Unknown unit: ${unitType}.` };
+        }
+        if (!quality || quality.score < this.policy.qualityThresholds.collector) {
+            return { success: false, message: `AI Quality Check must be run and must pass (Score >= ${this.policy.qualityThresholds.collector}).` };
+        }
+        const base = toBaseUnit(quantity, unitType);
+        const timestamp = Date.now();
+        const outOfSeason = !isInHarvestSeason(species, timestamp);
+        const data = { 
+            type: 'registerHerb', collectorID, herbID, name: species.commonName, speciesCode, botanicalName: species.botanicalName, partUsed: species.partUsed, location, 
+            quantity: base.quantity, unitType: base.unitType, enteredQuantity: parseFloat(quantity), enteredUnit: unitType, quality, 
+            ...(permit && { permitNumber: permit }), outOfSeason,
+            timestamp, status: 'pending_verification'
+        };
+        await this.addSignedBlock(collectorID, data);
+        const message = `Herb ID ${herbID} recorded and is pending verification by supplier.`;
+        if (outOfSeason) {
+            return { success: true, message: `${message} ⚠️ ${species.partUsed} of ${species.commonName} is normally harvested in ${describeHarvestSeason(species)}; this out-of-season registration is flagged on the ledger.`, outOfSeason };
+        }
+        return { success: true, message };
+    }
+
+    // Outside tolerance the supplier either disputes (fraud alert) or, for a shortfall, accepts the measured quantity.
+    async verifyHerbReceipt(supplierID, herbID, measuredQuantity, measuredUnit, resolution = 'dispute') {
+        const denied = this.authorize(supplierID, 'supplier');
+        if (denied) return denied;
+        const masterHerb = this.metadata[herbID];
+        if (!masterHerb || masterHerb.status !== 'pending_verification') {
+            return { success: false, message: 'This herb batch is not awaiting verification.' };
+        }
+
+        const registrationBlockData = masterHerb.history[0];
+        const claimedQuantity = registrationBlockData.quantity;
+        const collectorID = registrationBlockData.collectorID;
+        const unitType = registrationBlockData.unitType;
+        if (this.isSameIdentity(collectorID, supplierID)) {
+            return { success: false, message: 'Action Blocked: you cannot verify a batch that you registered yourself.' };
+        }
+        const measuredInClaimUnit = convertQuantity(measuredQuantity, measuredUnit || unitType, unitType);
+        if (isNaN(measuredInClaimUnit)) {
+            return { success: false, message: `Cannot compare ${measuredUnit} with the registered unit ${unitType}.` };
+        }
+        measuredQuantity = measuredInClaimUnit;
+        const { tolerance, percent, moistureAllowance } = receiptTolerance(this.policy, masterHerb, claimedQuantity, unitType, measuredQuantity);
+        const difference = Math.abs(claimedQuantity - measuredQuantity);
+        const shortfall = roundQuantity(claimedQuantity - measuredQuantity);
+
+        let outcome = 'accepted';
+        if (difference > tolerance) {
+            outcome = resolution === 'accept_shortfall' && shortfall > 0 ? 'accepted_with_shortfall' : 'disputed';
+        }
+        const reputationDeltas = deltasForParticipants(this.policy.reputationDeltas.receipt[outcome], { collector: collectorID, supplier: supplierID });
+        const toleranceRecord = { tolerance: roundQuantity(tolerance), tolerancePercent: percent, moistureAllowance };
+
+        if (outcome === 'disputed') {
+            const data = {
+                type: 'fraudAlert', supplierID, collectorID, herbID, claimedQuantity, measuredQuantity, unitType, ...toleranceRecord, timestamp: Date.now(),
+                message: `Discrepancy found! Claimed: ${claimedQuantity} ${unitType}, Measured: ${measuredQuantity} ${unitType}, Tolerance: ±${roundQuantity(tolerance)} ${unitType}.`
+            };
+            const alertIndex = await this.addSignedBlock(supplierID, data);
+            await this.recordReputationChanges(supplierID, alertIndex, `Weight discrepancy on ${herbID}`, reputationDeltas);
+            return { success: false, message: `FRAUD ALERT: Weight discrepancy found for ${herbID}. Collector penalized. You have been rewarded for flagging.` };
+        }
+
+        const data = {
+            type: 'verifyReceipt', supplierID, herbID, verifiedQuantity: measuredQuantity, unitType, outcome,
+            claimedQuantity, shortfall: outcome === 'accepted_with_shortfall' ? shortfall : 0, ...toleranceRecord, timestamp: Date.now()
+        };
+        const receiptIndex = await this.addSignedBlock(supplierID, data);
+        await this.recordReputationChanges(supplierID, receiptIndex, `Receipt of ${herbID} ${outcome === 'accepted' ? 'verified' : 'accepted with a shortfall'}`, reputationDeltas);
+        if (outcome === 'accepted_with_shortfall') {
+            return { success: true, message: `Batch ${herbID} accepted with a shortfall of ${formatQuantity(shortfall, unitType, measuredUnit || unitType)}. No fraud alert raised.` };
+        }
+        return { success: true, message: `Batch ${herbID} verified successfully.` };
+    }
+
+    async transferHerb(fromID, toID, herbID, weight, location, unitType, supplierQuality) {
+        const denied = this.authorize(fromID, 'supplier');
+        if (denied) return denied;
+        if (!this.participants[toID] || this.participants[toID].role !== 'manufacturer') {
+            return { success: false, message: `${toID} is not a registered manufacturer.` };
+        }
+        const supplierInventory = this.inventories[fromID];
+        const supplierHerb = supplierInventory ? supplierInventory[herbID] : undefined;
+        if (!supplierHerb) {
+            return { success: false, message: `Herb ID ${herbID} not found in supplier's verified inventory.` };
+        }
+        const masterHerb = this.metadata[herbID];
+        if (masterHerb.status !== 'verified') {
+            return { success: false, message: `Cannot transfer a disputed or unverified batch.` };
+        }
+        const recall = this.getLotRecall(herbID);
+        if (recall) {
+            return { success: false, message: `Cannot transfer ${herbID}: ${recall.targetID === herbID ? 'it' : `its source lot ${recall.targetID}`} has been recalled (${recall.reason}).` };
+        }
+        if (!supplierQuality || supplierQuality.score < this.policy.qualityThresholds.supplier) {
+            return { success: false, message: `AI Quality Check must be run and must pass (Score >= ${this.policy.qualityThresholds.supplier}).` };
+        }
+        const transferWeight = convertQuantity(weight, unitType, supplierHerb.unitType);
+        if (isNaN(transferWeight)) {
+            return { success: false, message: `${unitType} cannot be converted to ${supplierHerb.unitType}, the unit this batch is held in.` };
+        }
+        const availableQuantity = supplierHerb.quantity;
+        if (transferWeight > availableQuantity) {
+            return { success: false, message: `Insufficient units. Available: ${formatQuantity(availableQuantity, supplierHerb.unitType, unitType)}, Requested: ${parseFloat(weight).toFixed(2)} ${unitType}.` };
+        }
+        
+        const data = {
+            type: 'transferHerb', fromID, toID, herbID, weight: transferWeight, unitType: supplierHerb.unitType,
+            enteredWeight: parseFloat(weight), enteredUnit: unitType, location, supplierQuality, timestamp: Date.now()
+        };
+        await this.addSignedBlock(fromID, data);
+
+        return { success: true, message: `${parseFloat(weight).toFixed(2)} ${unitType} of ${masterHerb.name} successfully transferred.` };
+    }
+    
+    // Splits part of a held lot into child lots. The children plus what stays under the parent ID equal what was held.
+    async splitLot(supplierID, herbID, portions, unitType) {
+        const denied = this.authorize(supplierID, 'supplier');
+        if (denied) return denied;
+        const held = (this.inventories[supplierID] || {})[herbID];
+        if (!held || held.quantity <= 0 || this.metadata[herbID].status !== 'verified') {
+            return { success: false, message: `Herb ID ${herbID} is not a verified lot in your inventory.` };
+        }
+        const recall = this.getLotRecall(herbID);
+        if (recall) {
+            return { success: false, message: `Cannot split ${herbID}: ${recall.targetID} has been recalled (${recall.reason}).` };
+        }
+        const quantities = portions.map(portion => roundQuantity(convertQuantity(portion, unitType, held.unitType)));
+        if (quantities.length === 0 || quantities.some(quantity => !(quantity > 0))) {
+            return { success: false, message: `Enter each child lot as a positive quantity in a unit convertible to ${held.unitType}.` };
+        }
+        const splitOff = roundQuantity(quantities.reduce((total, quantity) => total + quantity, 0));
+        if (splitOff > held.quantity) {
+            return { success: false, message: `The child lots add up to ${formatQuantity(splitOff, held.unitType, unitType)}, but only ${formatQuantity(held.quantity, held.unitType, unitType)} is held.` };
+        }
+        const remainingQuantity = roundQuantity(held.quantity - splitOff);
+        if (quantities.length + (remainingQuantity > 0 ? 1 : 0) < 2) {
+            return { success: false, message: 'A split needs at least two parts: two child lots, or one child lot and a remainder.' };
+        }
+
+        // Only direct children count, so a lot's suffixes run S1, S2, … however often its children are split again.
+        const existing = Object.values(this.metadata).filter(lot => lot.history[0].type === 'splitLot' && lot.parentLots[0] === herbID).length;
+        const children = quantities.map((quantity, i) => ({ herbID: `${herbID}-S${existing + i + 1}`, quantity }));
+        const data = {
+            type: 'splitLot', supplierID, herbID, children, unitType: held.unitType,
+            heldQuantity: held.quantity, remainingQuantity, enteredUnit: unitType, timestamp: Date.now()
+        };
+        await this.addSignedBlock(supplierID, data);
+        const remainder = remainingQuantity > 0 ? `${formatQuantity(remainingQuantity, held.unitType, unitType)} remains under ${herbID}.` : `Nothing remains under ${herbID}.`;
+        return { success: true, message: `${herbID} split into ${children.map(child => child.herbID).join(', ')}. ${remainder}` };
+    }
+
+    // Consolidates whole lots of one species into a new lot whose quantity is exactly their sum.
+    async mergeLot(supplierID, newHerbID, herbIDs, displayUnit) {
+        const denied = this.authorize(supplierID, 'supplier');
+        if (denied) return denied;
+        const lotIDs = [...new Set(herbIDs)];
+        if (lotIDs.length < 2) {
+            return { success: false, message: 'Select at least two lots to merge.' };
+        }
+        if (this.metadata[newHerbID]) {
+            return { success: false, message: 'This herb ID already exists.' };
+        }
+        const inventory = this.inventories[supplierID] || {};
+        const problems = [];
+        lotIDs.forEach(id => {
+            const held = inventory[id];
+            if (!held || held.quantity <= 0 || this.metadata[id].status !== 'verified') problems.push(`${id} is not a verified lot in your inventory`);
+            else if (this.getLotRecall(id)) problems.push(`${id} has been recalled`);
+        });
+        if (problems.length > 0) {
+            return { success: false, message: `Cannot merge: ${problems.join('; ')}.` };
+        }
+        const [first] = lotIDs.map(id => inventory[id]);
+        const speciesCode = this.metadata[lotIDs[0]].speciesCode;
+        if (!speciesCode) {
+            return { success: false, message: `${lotIDs[0]} is not a catalogue species, so no lot can be confirmed to match it.` };
+        }
+        if (lotIDs.some(id => this.metadata[id].speciesCode !== speciesCode)) {
+            return { success: false, message: 'Only lots of the same species can be merged.' };
+        }
+        if (lotIDs.some(id => isNaN(convertQuantity(inventory[id].quantity, inventory[id].unitType, first.unitType)))) {
+            return { success: false, message: `Every lot must be held in a unit convertible to ${first.unitType}.` };
+        }
+
+        const parents = lotIDs.map(id => ({ herbID: id, quantity: inventory[id].quantity, unitType: inventory[id].unitType }));
+        const quantity = roundQuantity(parents.reduce((total, parent) => total + convertQuantity(parent.quantity, parent.unitType, first.unitType), 0));
+        const data = { type: 'mergeLot', supplierID, herbID: newHerbID, name: first.name, speciesCode, parents, quantity, unitType: first.unitType, timestamp: Date.now() };
+        await this.addSignedBlock(supplierID, data);
+        return { success: true, message: `${lotIDs.length} lots of ${first.name} merged into ${newHerbID} (${formatQuantity(quantity, first.unitType, displayUnit || first.unitType)}).` };
+    }
+
+    async verifySuppliedBatch(manufacturerID, herbID, qualityResult) {
+        const denied = this.authorize(manufacturerID, 'manufacturer');
+        if (denied) return denied;
+        const manuInventory = this.inventories[manufacturerID];
+        if (!manuInventory || !manuInventory[herbID] || manuInventory[herbID].status !== 'pending_manufacturer_verification') {
+             return { success: false, message: "Batch not awaiting your verification." };
+        }
+
+        const transferRecord = this.metadata[herbID].history.find(h => h.type === 'transferHerb' && h.toID === manufacturerID);
+        const supplierID = transferRecord ? transferRecord.fromID : null;
+        if (supplierID && this.isSameIdentity(supplierID, manufacturerID)) {
+            return { success: false, message: 'Action Blocked: you cannot verify a batch that you supplied yourself.' };
+        }
+
+        const participantsByRole = { supplier: supplierID, manufacturer: manufacturerID };
+        if (qualityResult.score < this.policy.qualityThresholds.manufacturer) {
+            const data = { type: 'qualityFraudAlert', manufacturerID, herbID, supplierID, qualityScore: qualityResult.score, qualityBreakdown: qualityResult.breakdown, evidence: qualityResult.evidence, inputMode: qualityResult.inputMode, timestamp: Date.now() };
+            const alertIndex = await this.addSignedBlock(manufacturerID, data);
+            await this.recordReputationChanges(manufacturerID, alertIndex, `Quality failure on ${herbID}`, deltasForParticipants(this.policy.reputationDeltas.supplyQuality.failed, participantsByRole));
+            return { success: false, message: `QUALITY FAILED for ${herbID}. Supplier penalized. You have been rewarded.` };
+        } else {
+            const data = { type: 'verifySuppliedBatch', manufacturerID, herbID, qualityScore: qualityResult.score, qualityBreakdown: qualityResult.breakdown, evidence: qualityResult.evidence, inputMode: qualityResult.inputMode, timestamp: Date.now() };
+            const verifyIndex = await this.addSignedBlock(manufacturerID, data);
+            await this.recordReputationChanges(manufacturerID, verifyIndex, `Supplied batch ${herbID} passed quality`, deltasForParticipants(this.policy.reputationDeltas.supplyQuality.passed, participantsByRole));
+            return { success: true, message: `Batch ${herbID} quality verified successfully.` };
+        }
+    }
+
+    // The latest version unless one is named.
+    getFormulation(productID, version) {
+        const versions = this.formulations[productID] || [];
+        return version === undefined ? versions[versions.length - 1] : versions.find(f => f.version === version);
+    }
+
+    // A manufacturer's formulation for a product name it already uses becomes that product's next version.
+    // Ingredients are { speciesCode, proportionPercent, tolerancePercent }; proportions are shares of the herb content and add up to 100.
+    // Each is recorded with the species' common name as herbName for display.
+    async registerFormulation(manufacturerID, productName, herbContentPerUnit, contentUnit, packUnit, tolerancePercent, ingredients) {
+        const denied = this.authorize(manufacturerID, 'manufacturer');
+        if (denied) return denied;
+        const name = (productName || '').trim();
+        if (!name) {
+            return { success: false, message: 'Please enter the product name.' };
+        }
+        if (!(herbContentPerUnit > 0) || !UNITS[contentUnit]) {
+            return { success: false, message: 'Please enter the herb content of one pack unit as a positive quantity.' };
+        }
+        if (!UNITS[packUnit]) {
+            return { success: false, message: `Unknown pack unit: ${packUnit}.` };
+        }
+        if (!(tolerancePercent >= 0 && tolerancePercent <= 100)) {
+            return { success: false, message: 'The tolerance must be between 0 and 100%.' };
+        }
+        if (!ingredients || ingredients.length === 0) {
+            return { success: false, message: 'Please list at least one herb species in the formulation.' };
+        }
+        const unknown = ingredients.find(i => !SPECIES_CATALOGUE[i.speciesCode]);
+        if (unknown) {
+            return { success: false, message: `Every ingredient must be a species from the catalogue${unknown.speciesCode ? ` (${unknown.speciesCode} is not)` : ''}.` };
+        }
+        const recipe = ingredients.map(i => ({
+            speciesCode: i.speciesCode, herbName: SPECIES_CATALOGUE[i.speciesCode].commonName,
+            proportionPercent: parseFloat(i.proportionPercent), tolerancePercent: parseFloat(i.tolerancePercent)
+        }));
+        const badIngredient = recipe.find(i => !(i.proportionPercent > 0 && i.proportionPercent <= 100) || !(i.tolerancePercent >= 0 && i.tolerancePercent <= 100));
+        if (badIngredient) {
+            return { success: false, message: `Every ingredient needs a proportion above 0% and a tolerance between 0 and 100 points (check ${badIngredient.herbName}).` };
+        }
+        const repeated = recipe.find((i, index) => recipe.findIndex(other => other.speciesCode === i.speciesCode) !== index);
+        if (repeated) {
+            return { success: false, message: `${repeated.herbName} is listed more than once.` };
+        }
+        const totalPercent = roundTo(recipe.reduce((sum, i) => sum + i.proportionPercent, 0), 2);
+        if (totalPercent !== 100) {
+            return { success: false, message: `The ingredient proportions add up to ${totalPercent}%, not 100%.` };
+        }
+        const existing = Object.values(this.formulations)
+            .map(versions => versions[versions.length - 1])
+            .find(f => f.manufacturerID === manufacturerID && f.productName.toLowerCase() === name.toLowerCase());
+        const productID = existing ? existing.productID : `PRD-${String(Object.keys(this.formulations).length + 1).padStart(3, '0')}`;
+        const version = existing ? existing.version + 1 : 1;
+
+        const data = {
+            type: 'registerFormulation', manufacturerID, productID, version, productName: name,
+            herbContentPerUnit: parseFloat(herbContentPerUnit), contentUnit, packUnit, tolerancePercent: parseFloat(tolerancePercent),
+            ingredients: recipe, timestamp: Date.now()
+        };
+        await this.addSignedBlock(manufacturerID, data);
+        return { success: true, message: `${name} (${productID}) formulation version ${version} recorded: ${data.herbContentPerUnit} ${contentUnit} of herb per ${packUnit}, ±${data.tolerancePercent}%, made of ${describeComposition(recipe)}.` };
+    }
+
+    async useHerbInMedicine(batchID, manufacturerID, location, usedBatches, finalWeight, finalUnit, manufacturerQuality, productID) {
+        const denied = this.authorize(manufacturerID, 'manufacturer');
+        if (denied) return denied;
+        if (this.serialRegistry[batchID] || this.chain.some(block => block.data.type === 'useHerb' && block.data.batchID === batchID)) {
+            return { success: false, message: `Batch ID ${batchID} has already been used. Every production batch needs a unique ID.` };
+        }
+        const formulation = this.getFormulation(productID);
+        if (!formulation || formulation.manufacturerID !== manufacturerID) {
+            return { success: false, message: 'Select one of your registered product formulations to produce.' };
+        }
+        if (finalUnit !== formulation.packUnit) {
+            return { success: false, message: `${formulation.productName} is packed in ${formulation.packUnit}, not ${finalUnit}.` };
+        }
+        if (!(finalWeight >= 1)) {
+            return { success: false, message: `Please enter the number of ${formulation.packUnit} produced.` };
+        }
+        // One serial is issued per pack unit, so the checks, the production record and the serials all use this whole count.
+        if (!Number.isInteger(finalWeight)) {
+            return { success: false, message: `Serials are issued one per pack unit, so enter a whole number of ${formulation.packUnit}, not ${finalWeight}.` };
+        }
+        
+        if (usedBatches.length > this.policy.maxBatchesPerProduct) {
+            return { success: false, message: `A product can use at most ${this.policy.maxBatchesPerProduct} herb batches.` };
+        }
+        if (!manufacturerQuality || manufacturerQuality.score < this.policy.qualityThresholds.manufacturer) {
+            // No production block is written, so the penalty is the only record of the blocked attempt.
+            const reason = `Final product quality blocked for batch ${batchID} (score ${manufacturerQuality ? manufacturerQuality.score : 0}/100)`;
+            await this.recordReputationChanges(manufacturerID, null, reason, deltasForParticipants(this.policy.reputationDeltas.production.qualityBlocked, { manufacturer: manufacturerID }));
+            return { success: false, message: `QUALITY BLOCKED! Final product score is too low (${manufacturerQuality ? manufacturerQuality.score : 0}/100). Production denied & reputation penalized.` };
+        }
+        
+        const manufacturerInventory = this.inventories[manufacturerID];
+        if (!manufacturerInventory) {
+            return { success: false, message: "Manufacturer not found."};
+        }
+
+        const invalidHerbs = [];
+        const normalizedBatches = [];
+        for (const batch of usedBatches) {
+            const id = batch.herbID;
+            const herbInManuInventory = manufacturerInventory[id];
+
+            if (!herbInManuInventory || herbInManuInventory.status !== 'verified_by_manufacturer') {
+                invalidHerbs.push(`${shortHerbID(id)} (Not yet verified by you)`);
+                continue;
+            }
+            if (this.getLotRecall(id)) {
+                invalidHerbs.push(`${shortHerbID(id)} (Recalled)`);
+                continue;
+            }
+            const unitsUsed = convertQuantity(batch.unitsUsed, batch.unitType, herbInManuInventory.unitType);
+            if (isNaN(unitsUsed)) {
+                invalidHerbs.push(`${shortHerbID(id)} (${batch.unitType} cannot be converted to ${herbInManuInventory.unitType})`);
+                continue;
+            }
+            if (herbInManuInventory.quantity < unitsUsed) {
+                invalidHerbs.push(`${shortHerbID(id)} (Available: ${formatQuantity(herbInManuInventory.quantity, herbInManuInventory.unitType, batch.unitType)})`);
+                continue;
+            }
+            normalizedBatches.push({
+                herbID: id, unitsUsed, unitType: herbInManuInventory.unitType,
+                enteredUnitsUsed: parseFloat(batch.unitsUsed), enteredUnit: batch.unitType
+            });
+        }
+
+        if (invalidHerbs.length > 0) {
+            return { success: false, message: `Error with used herbs: ${invalidHerbs.join(', ')}` };
+        }
+
+        const yieldCheck = assessYield(formulation, normalizedBatches, finalWeight);
+        if (!yieldCheck) {
+            return { success: false, message: `The herbs used cannot all be measured in ${formulation.contentUnit}, the unit of ${formulation.productName}'s formulation.` };
+        }
+        // Formulations recorded before ingredients were listed name no species, so only their yield is checked.
+        let composition = null;
+        if (formulation.ingredients) {
+            // A herb that matches no catalogue species is keyed by its name, so it can never pass as a recipe ingredient.
+            const check = assessComposition(formulation, normalizedBatches, herbID => this.metadata[herbID].speciesCode || this.metadata[herbID].name);
+            if (check.unexpected.length > 0) {
+                return { success: false, message: `${formulation.productName} version ${formulation.version} does not contain ${check.unexpected.map(describeSpecies).join(', ')}. Its recipe is ${describeComposition(formulation.ingredients)}.` };
+            }
+            if (check.offRecipe.length > 0) {
+                return { success: false, message: `The herbs used do not match ${formulation.productName} version ${formulation.version}: ${describeComposition(check.offRecipe)}.` };
+            }
+            composition = check.ingredients;
+        }
+        const anomaly = {
+            type: 'yieldAnomaly', manufacturerID, batchID, productID, formulationVersion: formulation.version,
+            finalWeight, finalUnit, ...yieldCheck, blockPercent: this.policy.yieldBlockPercent
+        };
+        if (Math.abs(yieldCheck.deviationPercent) > this.policy.yieldBlockPercent) {
+            // No production block is written, so the anomaly is the auditors' only record of the attempt.
+            await this.addSignedBlock(manufacturerID, { ...anomaly, blocked: true, timestamp: Date.now() });
+            return { success: false, message: `YIELD BLOCKED for ${batchID}: ${describeYield(yieldCheck)}. Deviations over ${this.policy.yieldBlockPercent}% are refused and this attempt is recorded for auditors.` };
+        }
+
+        const data = {
+            type: 'useHerb', manufacturerID, batchID, location, usedBatches: normalizedBatches, finalWeight, finalUnit, manufacturerQuality,
+            productID, productName: formulation.productName, formulationVersion: formulation.version, composition, yieldCheck, timestamp: Date.now()
+        };
+        const productionIndex = await this.addSignedBlock(manufacturerID, data);
+        await this.recordReputationChanges(manufacturerID, productionIndex, `Produced batch ${batchID}`, deltasForParticipants(this.policy.reputationDeltas.production.produced, { manufacturer: manufacturerID }));
+
+        const issuedCount = finalWeight;
+        const serialWidth = Math.max(4, String(issuedCount).length);
+        const serialData = {
+            type: 'issueSerials', manufacturerID, batchID, issuedCount, serialWidth,
+            firstSerial: formatSerial(batchID, 1, serialWidth), lastSerial: formatSerial(batchID, issuedCount, serialWidth),
+            timestamp: Date.now()
+        };
+        await this.addSignedBlock(manufacturerID, serialData);
+
+        const message = `Batch ${batchID} successfully recorded. Serials ${serialData.firstSerial} to ${serialData.lastSerial} issued.`;
+        if (Math.abs(yieldCheck.deviationPercent) > formulation.tolerancePercent) {
+            await this.addSignedBlock(manufacturerID, { ...anomaly, blocked: false, timestamp: Date.now() });
+            return { success: true, message: `${message} ⚠️ Yield anomaly recorded for auditors: ${describeYield(yieldCheck)}.`, serials: serialData, yieldAnomaly: true };
+        }
+        return { success: true, message, serials: serialData };
+    }
+
+    // Medicine batches built from a herb or from any lot split or merged out of it, found through the usedBatches links of useHerb blocks.
+    getMedicineBatchesUsing(herbID) {
+        return this.chain
+            .filter(block => block.data.type === 'useHerb' && block.data.usedBatches.some(batch => this.getLotAncestry(batch.herbID).includes(herbID)))
+            .map(block => block.data.batchID);
+    }
+
+    // Recalls that reach a medicine batch, either directly or through any lot in the tree of a herb it was made from.
+    getRecallsForMedicine(batchID) {
+        const production = this.chain.find(block => block.data.type === 'useHerb' && block.data.batchID === batchID);
+        const herbIDs = production ? production.data.usedBatches.flatMap(batch => this.getLotAncestry(batch.herbID)) : [];
+        return [...new Set([batchID, ...herbIDs])].map(id => this.recalls[id]).filter(Boolean);
+    }
+
+    // The lot itself, then every lot it was split or merged from, back to the collectors' registrations.
+    getLotAncestry(herbID) {
+        const lots = [];
+        const visit = id => {
+            if (lots.includes(id) || !this.metadata[id]) return;
+            lots.push(id);
+            (this.metadata[id].parentLots || []).forEach(visit);
+        };
+        visit(herbID);
+        return lots;
+    }
+
+    getOriginalCollectors(herbID) {
+        return this.getLotAncestry(herbID)
+            .map(id => this.metadata[id].history[0])
+            .filter(record => record.type === 'registerHerb')
+            .map(record => ({ herbID: record.herbID, collectorID: record.collectorID }));
+    }
+
+    // A recall of a lot also covers every lot later split or merged out of it.
+    getLotRecall(herbID) {
+        return this.getLotAncestry(herbID).map(id => this.recalls[id]).find(Boolean) || null;
+    }
+
+    // Ships one serial range of a batch to the next tier, as loose units or as whole cases of caseSize units.
+    async shipMedicine(fromID, toID, batchID, firstUnit, lastUnit, caseSize = null) {
+        const denied = this.authorize(fromID, Object.keys(MEDICINE_ROUTES));
+        if (denied) return denied;
+        const allowedRoles = MEDICINE_ROUTES[this.participants[fromID].role];
+        const recipient = this.participants[toID];
+        if (!recipient || !allowedRoles.includes(recipient.role)) {
+            return { success: false, message: `${toID || 'The recipient'} is not a registered ${allowedRoles.map(role => PARTICIPANT_ROLES[role].label).join(' or ')}.` };
+        }
+        if (this.isSameIdentity(fromID, toID)) {
+            return { success: false, message: 'Action Blocked: you cannot ship units to yourself.' };
+        }
+        const serials = this.serialRegistry[batchID];
+        if (!serials) {
+            return { success: false, message: `No serials have been issued for batch ${batchID}.` };
+        }
+        const recalls = this.getRecallsForMedicine(batchID);
+        if (recalls.length > 0) {
+            return { success: false, message: `Cannot ship ${batchID}: it has been recalled (${recalls[0].reason}).` };
+        }
+        if (!(Number.isInteger(firstUnit) && Number.isInteger(lastUnit) && firstUnit >= 1 && firstUnit <= lastUnit)) {
+            return { success: false, message: 'Please enter a unit range such as 1 to 50.' };
+        }
+        const unitCount = lastUnit - firstUnit + 1;
+        if (caseSize !== null && !(Number.isInteger(caseSize) && caseSize >= 1 && unitCount % caseSize === 0)) {
+            return { success: false, message: `${unitCount} units do not make whole cases of ${caseSize}.` };
+        }
+        const held = this.medicineStockOf(fromID)[batchID] || [];
+        if (!removeUnitRange(held, firstUnit, lastUnit)) {
+            return { success: false, message: `You do not hold all of units ${firstUnit} to ${lastUnit} of ${batchID}. You hold: ${held.length > 0 ? describeUnitRanges(held) : 'none'}.` };
+        }
+
+        const shipmentID = `SHP-${batchID}-${Object.values(this.shipments).filter(s => s.batchID === batchID).length + 1}`;
+        const data = {
+            type: 'shipMedicine', shipmentID, fromID, toID, batchID, firstUnit, lastUnit,
+            firstSerial: formatSerial(batchID, firstUnit, serials.serialWidth), lastSerial: formatSerial(batchID, lastUnit, serials.serialWidth),
+            unitCount, caseSize, cases: caseSize ? unitCount / caseSize : null, timestamp: Date.now()
+        };
+        await this.addSignedBlock(fromID, data);
+        const packing = caseSize ? `${data.cases} case(s) of ${caseSize}` : `${unitCount} unit(s)`;
+        return { success: true, message: `Shipment ${shipmentID}: ${packing} (${data.firstSerial} to ${data.lastSerial}) sent to ${recipient.legalName} (${toID}).` };
+    }
+
+    // The receiver signs for the whole shipment with the count they made. A short or over count stays on record against the shipment.
+    // A short count must name the missing serial numbers (as ranges) so only the units actually counted enter the receiver's stock.
+    async receiveMedicine(receiverID, shipmentID, receivedCount, notes, missingUnits = []) {
+        const denied = this.authorize(receiverID, ['distributor', 'retailer', 'pharmacy']);
+        if (denied) return denied;
+        const shipment = this.shipments[shipmentID];
+        if (!shipment || shipment.status !== 'in_transit') {
+            return { success: false, message: `Shipment ${shipmentID} is not awaiting receipt.` };
+        }
+        if (shipment.toID !== receiverID) {
+            return { success: false, message: `Action Blocked: shipment ${shipmentID} is addressed to ${shipment.toID}.` };
+        }
+        if (!(Number.isInteger(receivedCount) && receivedCount >= 0)) {
+            return { success: false, message: 'Please enter the number of units counted.' };
+        }
+        const discrepancy = receivedCount - shipment.unitCount;
+        if (discrepancy !== 0 && !notes) {
+            return { success: false, message: `You counted ${receivedCount} of ${shipment.unitCount} units. Please note what was missing or extra before signing.` };
+        }
+        const shortfall = Math.max(0, -discrepancy);
+        const outsideShipment = missingUnits.some(([first, last]) => first < shipment.firstUnit || last > shipment.lastUnit);
+        if (outsideShipment || countUnits(missingUnits) !== shortfall) {
+            return {
+                success: false,
+                message: shortfall > 0
+                    ? `List the ${shortfall} missing unit number(s) from ${shipment.firstUnit} to ${shipment.lastUnit}, e.g. ${describeUnitRanges([[shipment.firstUnit, shipment.firstUnit + shortfall - 1]])}.`
+                    : 'Missing units can only be listed when fewer units were counted than shipped.'
+            };
+        }
+
+        const data = {
+            type: 'receiveMedicine', shipmentID, batchID: shipment.batchID, receiverID, fromID: shipment.fromID,
+            expectedCount: shipment.unitCount, receivedCount, discrepancy, notes, ...(shortfall > 0 && { missingUnits }), timestamp: Date.now()
+        };
+        await this.addSignedBlock(receiverID, data);
+        if (shortfall > 0) {
+            return { success: false, message: `COUNT DISCREPANCY on ${shipmentID}: ${receivedCount} of ${shipment.unitCount} units counted. Missing units (${describeUnitRanges(missingUnits)}) are recorded against ${this.participants[shipment.fromID].legalName}'s shipment and were not added to your stock.` };
+        }
+        if (discrepancy !== 0) {
+            return { success: false, message: `COUNT DISCREPANCY on ${shipmentID}: ${receivedCount} of ${shipment.unitCount} units counted. The discrepancy is recorded against ${this.participants[shipment.fromID].legalName}'s shipment.` };
+        }
+        return { success: true, message: `Shipment ${shipmentID} received: all ${receivedCount} units counted.` };
+    }
+
+    getReputation(participantID) {
+        return this.reputationScores[participantID] ?? this.policy.initialReputation;
+    }
+
+    // What a block did to reputation: the change its events record, which replay holds to what the policy gives it,
+    // or for older blocks the change the block implied.
+    getReputationDeltas(causeIndex) {
+        const data = this.chain[causeIndex].data;
+        const implied = impliedReputationDeltas(data, this.metadata[data.herbID]);
+        return Object.keys(implied).length > 0 ? implied : reputationDeltasCausedBy(this, causeIndex);
+    }
+
+    // One signed event per participant; causeIndex points at the block that triggered it, or is null when no block was written.
+    async recordReputationChanges(signerID, causeIndex, reason, deltas) {
+        for (const [participantID, delta] of Object.entries(deltas)) {
+            await this.addSignedBlock(signerID, { type: 'reputationChange', participantID, delta, reason, causeIndex, timestamp: Date.now() });
+        }
+    }
+
+    applyReputationDeltas(deltas) {
+        Object.entries(deltas).forEach(([participantID, delta]) => {
+            this.reputationScores[participantID] = this.getReputation(participantID) + delta;
+        });
+    }
+
+    // Settings added to the policy after a version was activated take their version 1 value under it.
+    applyPolicy(data) {
+        const policy = { ...DEFAULT_POLICY, ...data.policy };
+        this.policies.push({ version: data.version, policy, setBy: data.adminID, note: data.note, timestamp: data.timestamp });
+        this.policy = policy;
+        this.policyVersion = data.version;
+    }
+
+    // Blocks written before policies were versioned ran under version 1.
+    getPolicy(version = this.policyVersion) {
+        const entry = this.policies.find(p => p.version === version);
+        return entry ? entry.policy : DEFAULT_POLICY;
+    }
+
+    async setPolicy(adminID, policy, note) {
+        const denied = this.authorize(adminID, 'admin');
+        if (denied) return denied;
+        const errors = validatePolicy(policy);
+        if (errors.length > 0) {
+            return { success: false, message: `Policy not activated: ${errors.join(' ')}` };
+        }
+        const changes = diffPolicies(this.policy, policy);
+        if (changes.length === 0) {
+            return { success: false, message: `No changes from the active policy (version ${this.policyVersion}).` };
+        }
+        const data = { type: 'setPolicy', adminID, version: this.policyVersion + 1, policy, note, changes: changes.map(change => change.path), timestamp: Date.now() };
+        await this.addSignedBlock(adminID, data);
+        return { success: true, message: `Policy version ${data.version} is now active (${changes.length} setting${changes.length === 1 ? '' : 's'} changed).` };
+    }
+
+    // Rebuilds a dispute's registry entry one block at a time, on load and as contracts run.
+    applyDisputeStep(data) {
+        if (data.type === 'openDispute') {
+            const { disputeID, alertIndex, herbID, disputeKind, accusedID, accuserID } = data;
+            this.disputes[disputeID] = { disputeID, alertIndex, herbID, disputeKind, accusedID, accuserID, status: 'open', outcome: null, steps: [data] };
+            return;
+        }
+        const dispute = this.disputes[data.disputeID];
+        dispute.steps.push(data);
+        dispute.status = DISPUTE_STEP_STATUS[data.type];
+        if (data.type === 'resolveDispute') dispute.outcome = data.outcome;
+    }
+
+    // Parties are not subject to the suspension check: a suspended participant must still be able to contest the alert that suspended them.
+    authorizeDisputeParty(participantID, dispute) {
+        if (!participantID) {
+            return { success: false, message: 'Action Blocked: sign in first.' };
+        }
+        if (!this.participants[participantID]) {
+            return { success: false, message: `Action Blocked: ${participantID} is not in the participant registry.` };
+        }
+        if (participantID !== dispute.accusedID && participantID !== dispute.accuserID) {
+            return { success: false, message: 'Action Blocked: only the parties named in the alert can do this.' };
+        }
+        return null;
+    }
+
+    async recordDisputeStep(signerID, data) {
+        return this.addSignedBlock(signerID, data);
+    }
+
+    async openDispute(participantID, alertIndex, statement) {
+        const alertBlock = this.chain[alertIndex];
+        if (!alertBlock || !FRAUD_ALERT_TYPES.includes(alertBlock.data.type)) {
+            return { success: false, message: `Block ${alertIndex} is not a fraud alert.` };
+        }
+        const alert = alertBlock.data;
+        const disputeKind = alert.type === 'fraudAlert' ? 'weight' : 'quality';
+        const parties = disputeKind === 'weight'
+            ? { accusedID: alert.collectorID, accuserID: alert.supplierID }
+            : { accusedID: alert.supplierID, accuserID: alert.manufacturerID };
+        const denied = this.authorizeDisputeParty(participantID, parties);
+        if (denied) return denied;
+        const disputeID = `DSP-${alertIndex}`;
+        if (this.disputes[disputeID]) {
+            return { success: false, message: `A dispute (${disputeID}) is already on record for this alert.` };
+        }
+        const stillDisputed = disputeKind === 'weight'
+            ? this.metadata[alert.herbID].status === 'disputed'
+            : (this.inventories[alert.manufacturerID] || {})[alert.herbID]?.status === 'disputed_by_manufacturer';
+        if (!stillDisputed) {
+            return { success: false, message: `${alert.herbID} is no longer in dispute.` };
+        }
+        if (!statement) {
+            return { success: false, message: 'Please explain why the alert is being disputed.' };
+        }
+
+        const data = { type: 'openDispute', disputeID, alertIndex: Number(alertIndex), herbID: alert.herbID, disputeKind, ...parties, openedBy: participantID, statement, timestamp: Date.now() };
+        await this.recordDisputeStep(participantID, data);
+        return { success: true, message: `Dispute ${disputeID} opened for ${alert.herbID}.` };
+    }
+
+    async submitDisputeEvidence(participantID, disputeID, note, evidence) {
+        const dispute = this.disputes[disputeID];
+        if (!dispute) {
+            return { success: false, message: `Dispute ${disputeID} not found.` };
+        }
+        const denied = this.authorizeDisputeParty(participantID, dispute);
+        if (denied) return denied;
+        if (!['open', 'evidence_submitted'].includes(dispute.status)) {
+            return { success: false, message: `Dispute ${disputeID} is ${DISPUTE_STATUSES[dispute.status]} and no longer accepts evidence.` };
+        }
+        if (!note && (!evidence || evidence.length === 0)) {
+            return { success: false, message: 'Please add a note or at least one photo.' };
+        }
+
+        const data = { type: 'submitDisputeEvidence', disputeID, herbID: dispute.herbID, submittedBy: participantID, note, evidence, timestamp: Date.now() };
+        await this.recordDisputeStep(participantID, data);
+        return { success: true, message: `Evidence added to dispute ${disputeID}.` };
+    }
+
+    // Weight disputes need a re-measured quantity; quality disputes need a re-inspection score out of 100.
+    async reinspectDispute(regulatorID, disputeID, findings, measurement) {
+        const denied = this.authorize(regulatorID, 'regulator');
+        if (denied) return denied;
+        const dispute = this.disputes[disputeID];
+        if (!dispute || !['open', 'evidence_submitted'].includes(dispute.status)) {
+            return { success: false, message: `Dispute ${disputeID} is not awaiting re-inspection.` };
+        }
+        if (!findings) {
+            return { success: false, message: 'Please record the re-inspection findings.' };
+        }
+
+        const data = { type: 'reinspectDispute', disputeID, herbID: dispute.herbID, regulatorID, findings, timestamp: Date.now() };
+        if (dispute.disputeKind === 'weight') {
+            const alert = this.chain[dispute.alertIndex].data;
+            const quantity = convertQuantity(measurement.quantity, measurement.unit, alert.unitType);
+            if (!(quantity >= 0)) {
+                return { success: false, message: `Please enter the re-measured quantity in a unit convertible to ${alert.unitType}.` };
+            }
+            Object.assign(data, { reinspectedQuantity: quantity, unitType: alert.unitType, enteredQuantity: parseFloat(measurement.quantity), enteredUnit: measurement.unit });
+        } else {
+            const score = parseFloat(measurement.score);
+            if (!(score >= 0 && score <= 100)) {
+                return { success: false, message: 'Please enter the re-inspection quality score (0-100).' };
+            }
+            data.reinspectedScore = score;
+        }
+        await this.recordDisputeStep(regulatorID, data);
+        return { success: true, message: `Re-inspection recorded for dispute ${disputeID}.` };
+    }
+
+    async resolveDispute(regulatorID, disputeID, outcome, notes) {
+        const denied = this.authorize(regulatorID, 'regulator');
+        if (denied) return denied;
+        const dispute = this.disputes[disputeID];
+        if (!dispute || dispute.status !== 're_inspected') {
+            return { success: false, message: `Dispute ${disputeID} must be re-inspected before it can be resolved.` };
+        }
+        if (!DISPUTE_OUTCOMES[outcome]) {
+            return { success: false, message: `Unknown outcome: ${outcome}.` };
+        }
+
+        const share = this.policy.disputeReversalShare[outcome];
+        const reputationDeltas = {};
+        Object.entries(this.getReputationDeltas(dispute.alertIndex)).forEach(([participantID, delta]) => {
+            const reversal = -Math.round(delta * share);
+            if (reversal !== 0) reputationDeltas[participantID] = reversal;
+        });
+
+        const data = { type: 'resolveDispute', disputeID, herbID: dispute.herbID, regulatorID, outcome, notes, timestamp: Date.now() };
+        if (share > 0 && dispute.disputeKind === 'weight') {
+            // The supplier takes the batch into inventory at the re-measured weight, as verifyHerbReceipt would have.
+            const reinspection = dispute.steps.find(step => step.type === 'reinspectDispute');
+            data.restoredQuantity = reinspection.reinspectedQuantity;
+            data.unitType = reinspection.unitType;
         }
-    }
+        const resolutionIndex = await this.recordDisputeStep(regulatorID, data);
+        await this.recordReputationChanges(regulatorID, resolutionIndex, `Dispute ${disputeID}: ${DISPUTE_OUTCOMES[outcome]}`, reputationDeltas);
 
-    getInitialReputation() {
-        return {
-            'COLLECTOR-001': 100,
-            'SUPPLIER-001': 100,
-            'MANU-001': 100,
-        };
+        const restored = share > 0 ? ` ${dispute.herbID} is usable again.` : '';
+        return { success: true, message: `Dispute ${disputeID} resolved: ${DISPUTE_OUTCOMES[outcome]}.${restored}` };
     }
-    
-    createGenesisBlock() {
-        return new Block('2025-01-01', 'Genesis Block', '0');
+
+    addRuling(data) {
+        const key = `${data.subjectKind}:${data.subjectID}`;
+        this.rulings[key] = [...(this.rulings[key] || []), data];
     }
 
-    getLatestBlock() {
-        return this.chain[this.chain.length - 1];
+    getRulings(subjectKind, subjectID) {
+        return this.rulings[`${subjectKind}:${subjectID}`] || [];
     }
 
-    addBlock(newBlock) {
-        newBlock.previousHash = this.getLatestBlock().hash;
-        newBlock.hash = newBlock.calculateHash();
-        this.chain.push(newBlock);
+    // Herb batches still waiting for the supplier's receipt or the manufacturer's quality check after slaHours.
+    getOverdueBatches(slaHours = this.policy.verificationSlaHours, now = Date.now()) {
+        const cutoff = now - slaHours * 3600000;
+        const overdue = [];
+        Object.entries(this.metadata).forEach(([herbID, herb]) => {
+            const registration = herb.history[0];
+            if (herb.status === 'pending_verification' && registration.timestamp < cutoff) {
+                overdue.push({ herbID, name: herb.name, stage: 'Awaiting supplier receipt', holderID: registration.collectorID, since: registration.timestamp });
+            }
+        });
+        Object.entries(this.inventories).forEach(([manufacturerID, inventory]) => {
+            Object.entries(inventory).forEach(([herbID, entry]) => {
+                if (entry.status !== 'pending_manufacturer_verification') return;
+                const transfers = this.metadata[herbID].history.filter(h => h.type === 'transferHerb' && h.toID === manufacturerID);
+                const since = transfers.length > 0 ? transfers[transfers.length - 1].timestamp : now;
+                if (since < cutoff) {
+                    overdue.push({ herbID, name: entry.name, stage: 'Awaiting manufacturer quality check', holderID: manufacturerID, since });
+                }
+            });
+        });
+        return overdue.sort((a, b) => a.since - b.since);
     }
 
-    // Smart Contracts
-    registerHerb(collectorID, herbID, name, location, quantity, unitType, quality) {
-        if ((this.reputationScores[collectorID] || 100) < 50) {
-            return { success: false, message: `Action Blocked: Your reputation score is below 50 and your account is suspended.` };
+    // subjectID is a block index for alerts, a participant ID, or a herb ID.
+    async recordRuling(regulatorID, subjectKind, subjectID, decision, notes) {
+        const denied = this.authorize(regulatorID, 'regulator');
+        if (denied) return denied;
+        if (!RULING_DECISIONS[subjectKind] || !RULING_DECISIONS[subjectKind].includes(decision)) {
+            return { success: false, message: `"${decision}" is not a valid ruling for this ${subjectKind}.` };
         }
-        if (this.metadata[herbID]) {
-            return { success: false, message: 'This herb ID already exists.' };
+        const subjectExists = {
+            alert: () => this.chain[subjectID] && FRAUD_ALERT_TYPES.includes(this.chain[subjectID].data.type),
+            participant: () => Boolean(this.participants[subjectID]),
+            batch: () => Boolean(this.metadata[subjectID])
+        }[subjectKind]();
+        if (!subjectExists) {
+            return { success: false, message: `No ${subjectKind} ${subjectID} found on the blockchain.` };
         }
-        const data = { 
-            type: 'registerHerb', collectorID, herbID, name, location, 
-            quantity: parseFloat(quantity), unitType, quality, 
-            timestamp: Date.now(), status: 'pending_verification'
-        };
-        this.addBlock(new Block(data.timestamp, data));
-        this.metadata[herbID] = { name, location, quality, history: [data], status: 'pending_verification' };
-        return { success: true, message: `Herb ID ${herbID} recorded and is pending verification by supplier.` };
+
+        const data = { type: 'regulatorRuling', regulatorID, subjectKind, subjectID: String(subjectID), decision, notes, timestamp: Date.now() };
+        await this.addSignedBlock(regulatorID, data);
+        return { success: true, message: `Ruling recorded: ${decision}.` };
     }
 
-    verifyHerbReceipt(supplierID, herbID, measuredQuantity) {
-        if ((this.reputationScores[supplierID] || 100) < 50) {
-            return { success: false, message: `Action Blocked: Your reputation score is below 50 and your account is suspended.` };
+    // Manufacturers may recall what they produced or received; regulators may recall anything on the chain.
+    async recallBatch(recallerID, targetID, reason) {
+        const denied = this.authorize(recallerID, ['manufacturer', 'regulator']);
+        if (denied) return denied;
+        if (!reason) {
+            return { success: false, message: 'A recall needs a reason.' };
         }
-        const masterHerb = this.metadata[herbID];
-        if (!masterHerb || masterHerb.status !== 'pending_verification') {
-            return { success: false, message: 'This herb batch is not awaiting verification.' };
+        if (this.recalls[targetID]) {
+            return { success: false, message: `${targetID} was already recalled on ${new Date(this.recalls[targetID].timestamp).toLocaleString()}.` };
         }
 
-        const registrationBlockData = masterHerb.history[0];
-        const claimedQuantity = registrationBlockData.quantity;
-        const collectorID = registrationBlockData.collectorID;
-        const tolerance = claimedQuantity * 0.02;
-        const difference = Math.abs(claimedQuantity - measuredQuantity);
+        const production = this.chain.find(block => block.data.type === 'useHerb' && block.data.batchID === targetID);
+        const targetKind = this.metadata[targetID] ? 'herb' : production ? 'medicine' : null;
+        if (!targetKind) {
+            return { success: false, message: `No herb or medicine batch with ID ${targetID} exists on the blockchain.` };
+        }
+        if (this.participants[recallerID].role === 'manufacturer') {
+            const ownsTarget = targetKind === 'medicine'
+                ? production.data.manufacturerID === recallerID
+                : Boolean(this.inventories[recallerID] && this.inventories[recallerID][targetID]);
+            if (!ownsTarget) {
+                return { success: false, message: `Action Blocked: you can only recall batches you produced or received. Ask a regulator to recall ${targetID}.` };
+            }
+        }
 
-        if (difference > tolerance) {
-            masterHerb.status = 'disputed';
-            registrationBlockData.status = 'disputed';
-            this.reputationScores[collectorID] = (this.reputationScores[collectorID] || 100) - 10;
-            this.reputationScores[supplierID] = (this.reputationScores[supplierID] || 100) + 5;
-            const data = {
-                type: 'fraudAlert', herbID, claimedQuantity, measuredQuantity, timestamp: Date.now(),
-                message: `Discrepancy found! Claimed: ${claimedQuantity}, Measured: ${measuredQuantity}.`
-            };
-            this.addBlock(new Block(data.timestamp, data));
-            masterHerb.history.push(data);
-            return { success: false, message: `FRAUD ALERT: Weight discrepancy found for ${herbID}. Collector penalized. You have been rewarded for flagging.` };
-        } else {
-            masterHerb.status = 'verified';
-            registrationBlockData.status = 'verified';
-            this.reputationScores[collectorID] = (this.reputationScores[collectorID] || 100) + 2;
-            this.reputationScores[supplierID] = (this.reputationScores[supplierID] || 100) + 1;
-            const data = {
-                type: 'verifyReceipt', supplierID, herbID, verifiedQuantity: parseFloat(measuredQuantity), timestamp: Date.now()
+        const affectedMedicineBatches = targetKind === 'medicine' ? [targetID] : this.getMedicineBatchesUsing(targetID);
+        const data = { type: 'recallBatch', recallerID, targetID, targetKind, affectedMedicineBatches, reason, timestamp: Date.now() };
+        await this.addSignedBlock(recallerID, data);
+
+        const reach = affectedMedicineBatches.length > 0 ? ` Affected medicine batches: ${affectedMedicineBatches.join(', ')}.` : ' No medicine batches have used it yet.';
+        return { success: true, message: `${targetID} recalled.${reach}` };
+    }
+}
+
+// Contracts check the state and append their blocks in one turn of the write queue, so a double-click cannot pass the
+// same check twice. They never call each other, which would wait on their own turn. A block the reducers reject fails the contract.
+const CONTRACTS = [
+    'registerParticipant', 'rotateParticipantKey', 'registerHerb', 'verifyHerbReceipt', 'transferHerb', 'splitLot', 'mergeLot', 'verifySuppliedBatch',
+    'registerFormulation', 'useHerbInMedicine', 'shipMedicine', 'receiveMedicine', 'setPolicy', 'openDispute',
+    'submitDisputeEvidence', 'reinspectDispute', 'resolveDispute', 'recordRuling', 'recallBatch'
+];
+CONTRACTS.forEach(name => {
+    const contract = Blockchain.prototype[name];
+    Blockchain.prototype[name] = function (...args) {
+        return this.serialize(() => contract.apply(this, args)).catch(e => ({ success: false, message: `The ledger refused this action: ${e.message}` }));
+    };
+});
+
+//---------------------------------------------------------
+// Data Persistence Functions
+//---------------------------------------------------------
+// The ledger lives in IndexedDB: one record per block, plus stores for the derived-state snapshot, scan logs and evidence images.
+// The database version is the schema version. SCHEMA_MIGRATIONS[n] upgrades a version n database to n + 1, and they run in order.
+const LEDGER_DB_NAME = 'herbalChain';
+const LEGACY_STORAGE_KEYS = ['herbalChainData', 'herbalChainEvidence'];
+
+const SCHEMA_MIGRATIONS = [
+    db => {
+        db.createObjectStore('blocks', { keyPath: 'index' });
+        db.createObjectStore('state');
+        db.createObjectStore('scanLogs', { keyPath: 'unitID' });
+        db.createObjectStore('evidence', { keyPath: 'digest' });
+    },
+    // Imports the single localStorage blob and evidence map used before IndexedDB; they are removed once the upgrade commits.
+    (db, transaction) => {
+        const legacy = JSON.parse(localStorage.getItem('herbalChainData') || 'null');
+        if (legacy) {
+            const blocks = transaction.objectStore('blocks');
+            legacy.chain.forEach((block, index) => blocks.put({ index, block }));
+            const state = transaction.objectStore('state');
+            state.put({ hashAlgorithm: legacy.hashAlgorithm, blockCount: legacy.chain.length }, 'ledger');
+            state.put({ metadata: legacy.metadata || {}, inventories: legacy.inventories || {}, reputationScores: legacy.reputationScores || {} }, 'derived');
+            const scanLogs = transaction.objectStore('scanLogs');
+            Object.entries(legacy.qrScanLog || {}).forEach(([unitID, entry]) => scanLogs.put({ unitID, entry }));
+        }
+        const evidence = transaction.objectStore('evidence');
+        Object.entries(JSON.parse(localStorage.getItem('herbalChainEvidence') || '{}')).forEach(([digest, dataUrl]) => evidence.put({ digest, dataUrl }));
+        transaction.addEventListener('complete', () => LEGACY_STORAGE_KEYS.forEach(key => localStorage.removeItem(key)));
+    }
+];
+const LEDGER_SCHEMA_VERSION = SCHEMA_MIGRATIONS.length;
+
+let ledgerDatabase = null;
+let storageQueue = Promise.resolve();
+// What this window last read from or wrote to the store; the head hash is the optimistic-concurrency check for the next save.
+let persistedLedger = { blockCount: 0, hashAlgorithm: undefined, latestHash: undefined };
+// Replay mismatches found on any load since the last acknowledgement; kept under their own key, which saves never overwrite.
+let mismatchReport = null;
+
+function requestResult(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+function openLedgerDatabase() {
+    if (!ledgerDatabase) {
+        ledgerDatabase = new Promise((resolve, reject) => {
+            const request = indexedDB.open(LEDGER_DB_NAME, LEDGER_SCHEMA_VERSION);
+            request.onupgradeneeded = event => {
+                for (let version = event.oldVersion; version < LEDGER_SCHEMA_VERSION; version++) {
+                    SCHEMA_MIGRATIONS[version](request.result, request.transaction);
+                }
             };
-            this.addBlock(new Block(data.timestamp, data));
-            masterHerb.history.push(data);
-            this.inventories[supplierID][herbID] = {
-                name: masterHerb.name,
-                quantity: parseFloat(measuredQuantity),
-                unitType: registrationBlockData.unitType
+            // Another window still has the older schema open; the upgrade waits until that window lets go of it.
+            request.onblocked = () => alert('The ledger database needs an upgrade. Close or reload the other HerbalChain windows to continue.');
+            request.onsuccess = () => {
+                const db = request.result;
+                // Let a newer schema in another window upgrade the database instead of leaving it blocked behind this one.
+                db.onversionchange = () => {
+                    db.close();
+                    ledgerDatabase = null;
+                    if (confirm('The ledger database was upgraded in another window. Reload this window to keep using it?')) location.reload();
+                };
+                resolve(db);
             };
-            return { success: true, message: `Batch ${herbID} verified successfully.` };
-        }
+            request.onerror = () => reject(request.error);
+        });
     }
+    return ledgerDatabase;
+}
 
-    transferHerb(fromID, toID, herbID, weight, location, unitType, supplierQuality) {
-        if ((this.reputationScores[fromID] || 100) < 50) {
-            return { success: false, message: `Action Blocked: Your reputation score is below 50.` };
-        }
-        const supplierInventory = this.inventories[fromID];
-        const supplierHerb = supplierInventory ? supplierInventory[herbID] : undefined;
-        if (!supplierHerb) {
-            return { success: false, message: `Herb ID ${herbID} not found in supplier's verified inventory.` };
-        }
-        const masterHerb = this.metadata[herbID];
-        if (masterHerb.status !== 'verified') {
-            return { success: false, message: `Cannot transfer a disputed or unverified batch.` };
-        }
-        if (supplierHerb.unitType !== unitType) {
-            return { success: false, message: `Unit mismatch. Expected ${supplierHerb.unitType} but got ${unitType}.`};
-        }
-        const availableQuantity = supplierHerb.quantity;
-        const transferWeight = parseFloat(weight);
-        if (transferWeight > availableQuantity) {
-            return { success: false, message: `Insufficient units. Available: ${availableQuantity.toFixed(2)}, Requested: ${transferWeight.toFixed(2)}.` };
+// Resolves to the saved chain, its hash algorithm, the derived-state snapshot and scan logs, or null for a new ledger.
+async function loadLedger() {
+    const db = await openLedgerDatabase();
+    const transaction = db.transaction(['blocks', 'state', 'scanLogs'], 'readonly');
+    const [blocks, ledger, derived, report, scanLogs] = await Promise.all([
+        requestResult(transaction.objectStore('blocks').getAll()),
+        requestResult(transaction.objectStore('state').get('ledger')),
+        requestResult(transaction.objectStore('state').get('derived')),
+        requestResult(transaction.objectStore('state').get('mismatches')),
+        requestResult(transaction.objectStore('scanLogs').getAll())
+    ]);
+    mismatchReport = report || null;
+    if (blocks.length === 0) return null;
+    persistedLedger = { blockCount: blocks.length, hashAlgorithm: ledger.hashAlgorithm, latestHash: ledger.latestHash };
+    const qrScanLog = {};
+    scanLogs.forEach(record => {
+        qrScanLog[record.unitID] = record.entry;
+    });
+    return { chain: blocks.map(record => record.block), hashAlgorithm: ledger.hashAlgorithm, storedState: derived, qrScanLog };
+}
+
+// Writes are queued so saves land in the order they were made. A failed write rejects for its caller; the queue carries on.
+function queueStorageWrite(write) {
+    const result = storageQueue.then(write);
+    storageQueue = result.catch(() => {});
+    return result;
+}
+
+// A failed write leaves the change on screen but not in the store, so the notice stays until a later save succeeds.
+function showStorageStatus(error) {
+    const notice = document.getElementById('storage-status');
+    notice.textContent = error ? `⚠️ Could not save to this browser's ledger database (${error.message || error}). Changes since the last successful save will be lost when this window is closed or reloaded.` : '';
+    notice.className = `status-message${error ? ' error' : ''}`;
+}
+
+async function putRecord(storeName, record) {
+    return queueStorageWrite(async () => {
+        const db = await openLedgerDatabase();
+        const transaction = db.transaction(storeName, 'readwrite');
+        transaction.objectStore(storeName).put(record);
+        await transactionDone(transaction);
+    });
+}
+
+async function getRecord(storeName, key) {
+    const db = await openLedgerDatabase();
+    return requestResult(db.transaction(storeName, 'readonly').objectStore(storeName).get(key));
+}
+
+// Only blocks added since the last save are written. The whole chain is rewritten after it was re-sealed with a new hash algorithm,
+// or when `replaced` says it was swapped for an imported one. Blocks are only appended if no other window has moved the stored head
+// since this window last saw it; otherwise this window's unsaved blocks are rebased onto the stored chain and saved again.
+// A legacy ledger that failed its check is never saved, so the state it was checked against stays as evidence.
+function saveData(replaced = false) {
+    return queueStorageWrite(async () => {
+        if (herbChain.hashAlgorithm !== HASH_ALGORITHM) return;
+        const db = await openLedgerDatabase();
+        const { chain, hashAlgorithm, metadata, inventories, reputationScores } = herbChain;
+        const rewrite = replaced || persistedLedger.hashAlgorithm !== hashAlgorithm || persistedLedger.blockCount > chain.length;
+        const from = rewrite ? 0 : persistedLedger.blockCount;
+        const transaction = db.transaction(['blocks', 'state'], 'readwrite');
+        const state = transaction.objectStore('state');
+        const stored = await requestResult(state.get('ledger'));
+        if (!replaced && (stored ? stored.latestHash : undefined) !== persistedLedger.latestHash) {
+            transaction.abort();
+            await resolveSaveConflict(chain.slice(persistedLedger.blockCount), persistedLedger.blockCount);
+            return;
         }
-        
-        supplierHerb.quantity -= transferWeight;
-        
-        if (!this.inventories[toID]) this.inventories[toID] = {};
-        if (!this.inventories[toID][herbID]) {
-            this.inventories[toID][herbID] = { name: masterHerb.name, quantity: 0, unitType: supplierHerb.unitType };
+        const blocks = transaction.objectStore('blocks');
+        if (rewrite) blocks.clear();
+        chain.slice(from).forEach((block, offset) => blocks.put({ index: from + offset, block }));
+        const latestHash = chain[chain.length - 1].hash;
+        state.put({ hashAlgorithm, blockCount: chain.length, latestHash }, 'ledger');
+        // Derived from the chain; saved only so the next load can compare.
+        state.put({ metadata, inventories, reputationScores }, 'derived');
+        await transactionDone(transaction);
+        persistedLedger = { blockCount: chain.length, hashAlgorithm, latestHash };
+        if (rewrite || from < chain.length) {
+            announceLedgerChange({ kind: 'blocks', blockCount: chain.length, latestHash });
         }
-        this.inventories[toID][herbID].quantity += transferWeight;
-        this.inventories[toID][herbID].status = 'pending_manufacturer_verification';
+    });
+}
 
-        const data = { type: 'transferHerb', fromID, toID, herbID, weight: transferWeight, unitType, location, supplierQuality, timestamp: Date.now() };
-        this.addBlock(new Block(data.timestamp, data));
-        masterHerb.history.push(data);
-        
-        return { success: true, message: `${transferWeight.toFixed(2)} ${unitType} of ${masterHerb.name} successfully transferred.` };
+// Adds what this load's replay found to the report, so the next save's fresh snapshot does not hide it.
+function recordStateMismatches(mismatches) {
+    if (mismatches.length === 0) return Promise.resolve();
+    mismatchReport = {
+        detectedAt: mismatchReport ? mismatchReport.detectedAt : Date.now(),
+        mismatches: [...new Set([...(mismatchReport ? mismatchReport.mismatches : []), ...mismatches])]
+    };
+    const report = mismatchReport;
+    return queueStorageWrite(async () => {
+        const db = await openLedgerDatabase();
+        const transaction = db.transaction('state', 'readwrite');
+        transaction.objectStore('state').put(report, 'mismatches');
+        await transactionDone(transaction);
+    });
+}
+
+function acknowledgeStateMismatches() {
+    mismatchReport = null;
+    return queueStorageWrite(async () => {
+        const db = await openLedgerDatabase();
+        const transaction = db.transaction('state', 'readwrite');
+        transaction.objectStore('state').delete('mismatches');
+        await transactionDone(transaction);
+    });
+}
+
+function saveScanLog(unitID) {
+    const entry = herbChain.qrScanLog[unitID];
+    announceLedgerChange({ kind: 'scanLog', unitID, entry });
+    return putRecord('scanLogs', { unitID, entry });
+}
+
+// Evidence images are kept: the chain still holds their digests.
+async function clearData() {
+    if (herbChain.chain.length > 1 && confirm('Download a backup of the ledger before clearing it?')) {
+        await exportLedger();
     }
-    
-    verifySuppliedBatch(manufacturerID, herbID, qualityResult) {
-        if ((this.reputationScores[manufacturerID] || 100) < 50) {
-            return { success: false, message: `Action Blocked: Your reputation score is below 50.` };
-        }
-        const manuInventory = this.inventories[manufacturerID];
-        if (!manuInventory || !manuInventory[herbID] || manuInventory[herbID].status !== 'pending_manufacturer_verification') {
-             return { success: false, message: "Batch not awaiting your verification." };
+    if (confirm("Are you sure you want to clear all blockchain data? This action cannot be undone.")) {
+        try {
+            await queueStorageWrite(async () => {
+                const db = await openLedgerDatabase();
+                const transaction = db.transaction(['blocks', 'state', 'scanLogs'], 'readwrite');
+                ['blocks', 'state', 'scanLogs'].forEach(storeName => transaction.objectStore(storeName).clear());
+                await transactionDone(transaction);
+            });
+        } catch (e) {
+            alert(`The ledger could not be cleared: ${e.message || e}`);
+            return;
         }
+        announceLedgerChange({ kind: 'cleared' });
+        location.reload();
+    }
+}
 
-        const transferRecord = this.metadata[herbID].history.find(h => h.type === 'transferHerb' && h.toID === manufacturerID);
-        const supplierID = transferRecord ? transferRecord.fromID : null;
+//---------------------------------------------------------
+// Multi-Window Sync
+//---------------------------------------------------------
+// Windows share one IndexedDB ledger. After a save, a window announces the new head on a BroadcastChannel and under a
+// localStorage key; the key's storage event reaches windows in browsers without BroadcastChannel. Duplicate notices are harmless.
+const LEDGER_CHANNEL_NAME = 'herbalChain';
+const LEDGER_HEAD_KEY = 'herbalChainLedgerHead';
+const ledgerChannel = typeof BroadcastChannel === 'undefined' ? null : new BroadcastChannel(LEDGER_CHANNEL_NAME);
+let ledgerLoaded = false;
 
-        if (qualityResult.score < 60) {
-            manuInventory[herbID].status = 'disputed_by_manufacturer';
-            if (supplierID) {
-                this.reputationScores[supplierID] = (this.reputationScores[supplierID] || 100) - 15;
-            }
-            this.reputationScores[manufacturerID] = (this.reputationScores[manufacturerID] || 100) + 5;
-            const data = { type: 'qualityFraudAlert', manufacturerID, herbID, supplierID, qualityScore: qualityResult.score, timestamp: Date.now() };
-            this.addBlock(new Block(data.timestamp, data));
-            this.metadata[herbID].history.push(data);
-            return { success: false, message: `QUALITY FAILED for ${herbID}. Supplier penalized. You have been rewarded.` };
-        } else {
-            manuInventory[herbID].status = 'verified_by_manufacturer';
-            if (supplierID) {
-                this.reputationScores[supplierID] = (this.reputationScores[supplierID] || 100) + 3;
-            }
-            this.reputationScores[manufacturerID] = (this.reputationScores[manufacturerID] || 100) + 1;
-            const data = { type: 'verifySuppliedBatch', manufacturerID, herbID, qualityScore: qualityResult.score, timestamp: Date.now() };
-            this.addBlock(new Block(data.timestamp, data));
-            this.metadata[herbID].history.push(data);
-            return { success: true, message: `Batch ${herbID} quality verified successfully.` };
-        }
+function announceLedgerChange(message) {
+    if (ledgerChannel) ledgerChannel.postMessage(message);
+    localStorage.setItem(LEDGER_HEAD_KEY, JSON.stringify({ ...message, sentAt: Date.now() }));
+}
+
+function handleLedgerMessage(message) {
+    if (!ledgerLoaded) return;
+    if (message.kind === 'cleared') {
+        location.reload();
+    } else if (message.kind === 'scanLog') {
+        herbChain.qrScanLog[message.unitID] = message.entry;
+    } else if (message.latestHash !== persistedLedger.latestHash) {
+        queueStorageWrite(syncFromStore).catch(showStorageStatus);
     }
+}
 
-    useHerbInMedicine(batchID, manufacturerID, location, usedBatches, finalWeight, finalUnit, manufacturerQuality) {
-        if ((this.reputationScores[manufacturerID] || 100) < 50) {
-            return { success: false, message: `Action Blocked: Your reputation score is below 50.` };
-        }
-        
-        if (!manufacturerQuality || manufacturerQuality.score < 60) {
-            this.reputationScores[manufacturerID] = (this.reputationScores[manufacturerID] || 100) - 5;
-            return { success: false, message: `QUALITY BLOCKED! Final product score is too low (${manufacturerQuality.score}/100). Production denied & reputation penalized.` };
-        }
-        
-        const manufacturerInventory = this.inventories[manufacturerID];
-        if (!manufacturerInventory) {
-            return { success: false, message: "Manufacturer not found."};
-        }
+async function reloadLedger() {
+    herbChain = new Blockchain(await loadLedger());
+    herbChain.onWritesPending = showWritesPending;
+    recordStateMismatches(herbChain.stateMismatches).catch(showStorageStatus);
+    await herbChain.initialize();
+    updateAllUI();
+}
 
-        const invalidHerbs = [];
-        for (const batch of usedBatches) {
-            const id = batch.herbID;
-            const unitsUsed = parseFloat(batch.unitsUsed);
-            const herbInManuInventory = manufacturerInventory[id];
+// Appends the blocks other windows have stored since this window's last save. A stored chain that no longer continues this
+// one (replaced by an import) is reloaded in full. Unsaved local blocks are left for saveData, whose head check settles them.
+async function syncFromStore() {
+    const db = await openLedgerDatabase();
+    const transaction = db.transaction(['blocks', 'state'], 'readonly');
+    const [ledger, records] = await Promise.all([
+        requestResult(transaction.objectStore('state').get('ledger')),
+        requestResult(transaction.objectStore('blocks').getAll(IDBKeyRange.lowerBound(Math.max(persistedLedger.blockCount - 1, 0))))
+    ]);
+    if (!ledger || ledger.latestHash === persistedLedger.latestHash || herbChain.chain.length > persistedLedger.blockCount) return;
+    const [last, ...newer] = records.map(record => Block.fromJSON(record.block));
+    if (!last || last.hash !== herbChain.getLatestBlock().hash) {
+        await reloadLedger();
+        return;
+    }
+    if (!await herbChain.appendStoredBlocks(newer, persistedLedger.blockCount)) return;
+    persistedLedger = { blockCount: ledger.blockCount, hashAlgorithm: ledger.hashAlgorithm, latestHash: ledger.latestHash };
+    updateAllUI();
+}
 
-            if (!herbInManuInventory || herbInManuInventory.status !== 'verified_by_manufacturer') {
-                invalidHerbs.push(`${id.substring(5,12)}... (Not yet verified by you)`);
-                continue;
-            }
-            if (herbInManuInventory.quantity < unitsUsed) {
-                invalidHerbs.push(`${id.substring(5,12)}... (Available: ${herbInManuInventory.quantity.toFixed(2)})`);
-                continue;
+// Replays this window's unsaved blocks on top of the stored chain, as mergeLedgers does for a backup: each is relinked to the new head
+// and kept only if it claims nothing the other window's blocks claimed and still replays without leaving negative stock. Block
+// numbers the unsaved blocks point at among themselves move with them, and blocks whose references changed are signed again.
+// Runs inside a storage write, so the save of the rebased chain is queued behind it.
+async function resolveSaveConflict(unsavedBlocks, savedCount) {
+    const stored = new Blockchain(await loadLedger());
+    stored.onWritesPending = showWritesPending;
+    recordStateMismatches(stored.stateMismatches).catch(showStorageStatus);
+    await stored.initialize();
+    const claimed = new Set(stored.chain.slice(savedCount).flatMap(block => ledgerClaims(block.data)));
+    const newIndex = {};
+    const dropped = [];
+    for (const [offset, block] of unsavedBlocks.entries()) {
+        const oldIndex = savedCount + offset;
+        const lost = blockReferences(block.data).find(reference => reference >= savedCount && newIndex[reference] === undefined);
+        const reasons = lost === undefined ? [] : [`it refers to block ${lost}, which was dropped`];
+        let data = block.data;
+        if (reasons.length === 0 && blockReferences(data).some(reference => reference >= savedCount)) {
+            data = renumberReferences(data, reference => (reference >= savedCount ? newIndex[reference] : reference));
+            try {
+                await stored.signBlockData(data.signerID, data);
+            } catch (e) {
+                reasons.push(e.message);
             }
-            if (herbInManuInventory.unitType !== batch.unitType) {
-                invalidHerbs.push(`${id.substring(5,12)}... (Unit Mismatch: Expected ${herbInManuInventory.unitType})`);
-                continue;
+        }
+        reasons.push(...ledgerClaims(data).filter(claim => claimed.has(claim)).map(claim => `another window already recorded the ${claim}`));
+        const rebased = new Block(block.timestamp, data, stored.getLatestBlock().hash);
+        rebased.hash = await rebased.calculateHash();
+        if (reasons.length === 0) {
+            try {
+                stored.applyToCopy(rebased, draft => {
+                    const problems = negativeStock(draft);
+                    if (problems.length > 0) throw new Error(problems.join(' '));
+                });
+                stored.chain.push(rebased);
+                newIndex[oldIndex] = stored.chain.length - 1;
+            } catch (e) {
+                reasons.push(e.message);
             }
         }
+        if (reasons.length > 0) dropped.push(`${describeBlock(block)}: ${reasons.join('; ')}`);
+    }
+    herbChain = stored;
+    herbChain.signatureChecks = await herbChain.verifySignatures(herbChain.chain.slice(1));
+    updateAllUI();
+    if (dropped.length > 0) {
+        alert(`Another window added to the ledger at the same moment. Your other changes were re-applied after its blocks, but these could not be and were not saved:\n\n${dropped.join('\n')}\n\nThe ledger has been refreshed; repeat these actions if they still apply.`);
+    }
+}
 
-        if (invalidHerbs.length > 0) {
-            return { success: false, message: `Error with used herbs: ${invalidHerbs.join(', ')}` };
-        }
+//---------------------------------------------------------
+// Ledger Backup
+//---------------------------------------------------------
+// A bundle carries the chain with the participants and policy it produces. The manifest summarises all three and is itself hashed,
+// so a bundle that was edited after export is caught before any block is looked at.
+const LEDGER_BUNDLE_FORMAT = 'herbalchain-ledger-bundle';
+const LEDGER_BUNDLE_VERSION = 1;
+
+async function buildLedgerBundle(blockchain) {
+    const chain = JSON.parse(JSON.stringify(blockchain.chain));
+    const participants = Object.values(blockchain.participants);
+    const policy = { version: blockchain.policyVersion, policy: blockchain.policy };
+    const manifest = {
+        format: LEDGER_BUNDLE_FORMAT, bundleVersion: LEDGER_BUNDLE_VERSION, schemaVersion: LEDGER_SCHEMA_VERSION, exportedAt: Date.now(),
+        hashAlgorithm: blockchain.hashAlgorithm, blockCount: chain.length, genesisHash: chain[0].hash, latestHash: chain[chain.length - 1].hash,
+        participantsDigest: await sha256Hex(JSON.stringify(participants)), policyDigest: await sha256Hex(JSON.stringify(policy))
+    };
+    return { manifest, manifestHash: await sha256Hex(JSON.stringify(manifest)), chain, participants, policy };
+}
 
-        const data = { type: 'useHerb', manufacturerID, batchID, location, usedBatches, finalWeight, finalUnit, manufacturerQuality, timestamp: Date.now() };
-        this.addBlock(new Block(data.timestamp, data));
+// Fingerprints of every key a participant has had registered, current first.
+function registeredFingerprints(blockchain, participantID) {
+    const keys = blockchain.publicKeys[participantID];
+    return keys ? [keys.fingerprint, ...(keys.previousKeys || []).map(key => key.fingerprint)] : [];
+}
 
-        usedBatches.forEach(batch => {
-            const herb = this.inventories[manufacturerID][batch.herbID];
-            if (herb) {
-                herb.quantity -= parseFloat(batch.unitsUsed);
-                this.metadata[batch.herbID].history.push(data);
-            }
+// True while a ledger holds nothing but the participants seeded on a fresh install or after Clear All Data.
+function isSeedOnly(blockchain) {
+    const blocks = blockchain.chain.slice(1);
+    return blocks.length === DEFAULT_PARTICIPANTS.length
+        && blocks.every((block, i) => block.data.type === 'registerParticipant' && block.data.participantID === DEFAULT_PARTICIPANTS[i].participantID);
+}
+
+// The administrator whose self-registration started a ledger.
+function ledgerFounder(blockchain) {
+    const block = blockchain.chain.find(block => block.data.type === 'registerParticipant');
+    return block && block.data.role === 'admin' && block.data.adminID === block.data.participantID ? block.data : null;
+}
+
+// Another ledger is only trusted if it was founded by the same administrator, holding a key this ledger has registered for them.
+// A freshly seeded ledger has no history to protect, so it takes the backup's founder; the user confirms their key before replacing.
+function trustAnchorErrors(current, candidate) {
+    const theirs = ledgerFounder(candidate);
+    if (!theirs) return ['The backup registers no founding administrator, so nothing in it can be trusted.'];
+    if (isSeedOnly(current)) return [];
+    const ours = ledgerFounder(current);
+    if (ours && theirs.participantID !== ours.participantID) {
+        return [`The backup was founded by ${theirs.participantID}, but this ledger was founded by ${ours.participantID}.`];
+    }
+    const known = registeredFingerprints(current, theirs.participantID);
+    if (!registeredFingerprints(candidate, theirs.participantID).some(fingerprint => known.includes(fingerprint))) {
+        return [`The backup's founding administrator (${theirs.participantID}) signs with no key this ledger has registered for them.`];
+    }
+    return [];
+}
+
+// Checks the manifest, every hash link and signature, that the listed participants and policy are what the chain replays to,
+// and that the chain shares the current ledger's founding administrator.
+async function verifyLedgerBundle(bundle, current) {
+    const { manifest, chain } = bundle || {};
+    if (!manifest || manifest.format !== LEDGER_BUNDLE_FORMAT || !Array.isArray(chain) || chain.length === 0) {
+        return { valid: false, errors: ['This file is not a HerbalChain ledger backup.'] };
+    }
+    const errors = [];
+    if (bundle.manifestHash !== await sha256Hex(JSON.stringify(manifest))) {
+        errors.push('The manifest does not match its hash: the backup was edited after export.');
+    }
+    if (manifest.hashAlgorithm !== HASH_ALGORITHM) {
+        errors.push(`The backup was sealed with ${manifest.hashAlgorithm || 'an older hash scheme'}, not ${HASH_ALGORITHM}. Open it in the app that made it and export again.`);
+    }
+    if (manifest.blockCount !== chain.length || manifest.latestHash !== chain[chain.length - 1].hash || manifest.genesisHash !== chain[0].hash) {
+        errors.push(`The manifest lists ${manifest.blockCount} blocks ending in ${String(manifest.latestHash).substring(0, 10)}..., but the backup holds ${chain.length}.`);
+    }
+    if (manifest.participantsDigest !== await sha256Hex(JSON.stringify(bundle.participants))
+        || manifest.policyDigest !== await sha256Hex(JSON.stringify(bundle.policy))) {
+        errors.push('The participants or policy in the backup do not match the manifest.');
+    }
+
+    const candidate = new Blockchain({ chain, hashAlgorithm: manifest.hashAlgorithm, qrScanLog: {} });
+    const integrity = await candidate.validateChain();
+    if (!integrity.valid) errors.push(integrity.message);
+    errors.push(...trustAnchorErrors(current, candidate));
+    errors.push(...candidate.stateMismatches);
+    const signatures = await candidate.verifySignatures(candidate.chain.slice(1));
+    if (signatures.invalid.length > 0) {
+        errors.push(`Signature check failed for block(s) ${signatures.invalid.join(', ')}.`);
+    }
+    if (JSON.stringify(Object.values(candidate.participants)) !== JSON.stringify(bundle.participants)) {
+        errors.push('The participant list does not match the registrations on the chain in the backup.');
+    }
+    if (candidate.policyVersion !== (bundle.policy || {}).version) {
+        errors.push(`The backup lists policy version ${(bundle.policy || {}).version}, but its chain activates version ${candidate.policyVersion}.`);
+    }
+    return { valid: errors.length === 0, errors, candidate, signatures };
+}
+
+// Blocks are the same while their hashes agree; everything after the first difference is divergent.
+function compareChains(currentChain, importedChain) {
+    let commonPrefix = 0;
+    while (commonPrefix < Math.min(currentChain.length, importedChain.length) && currentChain[commonPrefix].hash === importedChain[commonPrefix].hash) {
+        commonPrefix++;
+    }
+    return { commonPrefix, currentOnly: currentChain.slice(commonPrefix), importedOnly: importedChain.slice(commonPrefix) };
+}
+
+// Identities a block claims. Two divergent branches cannot both claim the same one.
+function ledgerClaims(data) {
+    switch (data.type) {
+        case 'registerParticipant': return [`participant ${data.participantID}`];
+        case 'rotateKey': return [`key rotation of ${data.participantID} from ${data.previousFingerprint}`];
+        case 'registerHerb':
+        case 'mergeLot': return [`herb ${data.herbID}`];
+        case 'splitLot': return data.children.map(child => `herb ${child.herbID}`);
+        case 'verifyReceipt':
+        case 'fraudAlert': return [`receipt of ${data.herbID}`];
+        case 'useHerb': return [`medicine batch ${data.batchID}`];
+        case 'registerFormulation': return [`formulation ${data.productID} version ${data.version}`];
+        case 'setPolicy': return [`policy version ${data.version}`];
+        case 'openDispute': return [`dispute ${data.disputeID}`];
+        case 'recallBatch': return [`recall of ${data.targetID}`];
+        case 'shipMedicine': return [`shipment ${data.shipmentID}`];
+        case 'receiveMedicine': return [`receipt of shipment ${data.shipmentID}`];
+        default: return [];
+    }
+}
+
+// Block indexes that signed data points at; they cannot be renumbered without breaking the signature.
+function blockReferences(data) {
+    if (data.type === 'reputationChange' && data.causeIndex !== null) return [data.causeIndex];
+    if (DISPUTE_STEP_STATUS[data.type]) return [parseInt(data.disputeID.replace('DSP-', ''), 10)];
+    if (data.type === 'regulatorRuling' && data.subjectKind === 'alert') return [parseInt(data.subjectID, 10)];
+    return [];
+}
+
+// A copy of the block data with every reference blockReferences finds passed through `renumber`.
+function renumberReferences(data, renumber) {
+    if (data.type === 'reputationChange' && data.causeIndex !== null) return { ...data, causeIndex: renumber(data.causeIndex) };
+    if (data.type === 'openDispute') return { ...data, disputeID: `DSP-${renumber(data.alertIndex)}`, alertIndex: renumber(data.alertIndex) };
+    if (DISPUTE_STEP_STATUS[data.type]) return { ...data, disputeID: `DSP-${renumber(parseInt(data.disputeID.replace('DSP-', ''), 10))}` };
+    if (data.type === 'regulatorRuling' && data.subjectKind === 'alert') return { ...data, subjectID: String(renumber(parseInt(data.subjectID, 10))) };
+    return data;
+}
+
+function negativeStock(blockchain) {
+    return Object.entries(blockchain.inventories).flatMap(([holderID, inventory]) => Object.entries(inventory)
+        .filter(([, entry]) => entry.quantity < 0)
+        .map(([herbID]) => `${holderID} would hold a negative stock of ${herbID}.`));
+}
+
+// A backup that extends this ledger is taken as it is. Otherwise the backup's divergent blocks are appended after this ledger's
+// own and their hashes re-linked; signatures cover only the block data, so they stay valid. Returns the merged chain, or the
+// reasons the branches cannot be combined.
+async function mergeLedgers(currentChain, importedChain) {
+    const { commonPrefix, currentOnly, importedOnly } = compareChains(currentChain, importedChain);
+    if (importedOnly.length === 0) {
+        return { merged: null, errors: ['This ledger already contains every block in the backup.'] };
+    }
+    if (currentOnly.length === 0) {
+        return { merged: importedChain, errors: [] };
+    }
+    const errors = [];
+    const claimed = new Set(currentOnly.flatMap(block => ledgerClaims(block.data)));
+    importedOnly.forEach((block, offset) => {
+        const index = commonPrefix + offset;
+        ledgerClaims(block.data).filter(claim => claimed.has(claim)).forEach(claim => {
+            errors.push(`Block ${index} of the backup and this ledger both record the ${claim}.`);
         });
-        this.reputationScores[manufacturerID] = (this.reputationScores[manufacturerID] || 100) + 2;
+        const renumbered = blockReferences(block.data).find(reference => reference >= commonPrefix);
+        if (renumbered !== undefined) {
+            errors.push(`Block ${index} of the backup (${block.data.type}) refers to block ${renumbered} by number. Both come after the point where the ledgers diverge (block ${commonPrefix}), so a merge would renumber a reference its signature covers. Export this ledger and use Replace instead.`);
+        }
+    });
+    if (errors.length > 0) return { merged: null, errors };
 
-        return { success: true, message: `Batch ${batchID} successfully recorded.` };
+    const merged = currentChain.map(Block.fromJSON);
+    for (const block of importedOnly) {
+        const relinked = new Block(block.timestamp, block.data, merged[merged.length - 1].hash);
+        relinked.hash = await relinked.calculateHash();
+        merged.push(relinked);
     }
+    const candidate = new Blockchain({ chain: merged, hashAlgorithm: HASH_ALGORITHM, qrScanLog: {} });
+    errors.push(...candidate.stateMismatches);
+    errors.push(...negativeStock(candidate).map(problem => `After merging, ${problem}`));
+    return { merged: errors.length === 0 ? merged : null, errors };
+}
+
+async function exportLedger() {
+    const bundle = await buildLedgerBundle(herbChain);
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' }));
+    link.download = `herbalchain-ledger-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+// The scan log is not part of a backup, so the local one is kept. A chain that does not share this ledger's trust anchor or
+// does not replay cleanly is refused and nothing changes. Resolves to the reasons it was refused, if any.
+async function adoptLedger(chain) {
+    const candidate = new Blockchain({ chain, hashAlgorithm: HASH_ALGORITHM, qrScanLog: herbChain.qrScanLog });
+    const errors = [...trustAnchorErrors(herbChain, candidate), ...candidate.stateMismatches];
+    if (errors.length > 0) return errors;
+    herbChain = candidate;
+    herbChain.onWritesPending = showWritesPending;
+    await herbChain.initialize();
+    await saveData(true);
+    updateAllUI();
+    return [];
 }
 
 //---------------------------------------------------------
-// Data Persistence Functions
+// Participant Sign-In
 //---------------------------------------------------------
-function saveData() {
-    const dataToSave = {
-        chain: herbChain.chain,
-        metadata: herbChain.metadata,
-        inventories: herbChain.inventories,
-        reputationScores: herbChain.reputationScores,
-        qrScanLog: herbChain.qrScanLog
+const MIN_PIN_LENGTH = 4;
+const PIN_ITERATIONS = 150000;
+
+// PINs are stretched with PBKDF2 and only a SHA-256 of the derived key is stored.
+async function derivePinVerifier(pin, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', salt, iterations, hash: HASH_ALGORITHM }, material, 256);
+    return sha256Hex(bytesToBase64(bits));
+}
+
+function loadCredentials() {
+    return JSON.parse(localStorage.getItem('herbalChainCredentials') || '{}');
+}
+
+function hasParticipantPin(participantID) {
+    return Boolean(loadCredentials()[participantID]);
+}
+
+async function setParticipantPin(participantID, pin) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const credentials = loadCredentials();
+    credentials[participantID] = {
+        salt: bytesToBase64(salt),
+        iterations: PIN_ITERATIONS,
+        verifier: await derivePinVerifier(pin, salt, PIN_ITERATIONS),
     };
-    localStorage.setItem('herbalChainData', JSON.stringify(dataToSave));
+    localStorage.setItem('herbalChainCredentials', JSON.stringify(credentials));
 }
 
-function clearData() {
-    if (confirm("Are you sure you want to clear all blockchain data? This action cannot be undone.")) {
-        localStorage.removeItem('herbalChainData');
-        location.reload();
-    }
+// Only the seeded administrator may create their own PIN at sign-in, and only while no administrator on this device has one.
+function isAdminBootstrap(participantID) {
+    const participant = herbChain.participants[participantID];
+    return participantID === DEFAULT_PARTICIPANTS[0].participantID
+        && participant && participant.role === 'admin'
+        && !herbChain.getParticipantsByRole('admin').some(p => hasParticipantPin(p.participantID));
+}
+
+async function checkParticipantPin(participantID, pin) {
+    const credential = loadCredentials()[participantID];
+    if (!credential) return false;
+    const verifier = await derivePinVerifier(pin, base64ToBytes(credential.salt), credential.iterations);
+    return verifier === credential.verifier;
 }
 
 //---------------------------------------------------------
 // DOM ELEMENTS AND EVENT LISTENERS
 //---------------------------------------------------------
 let herbChain = new Blockchain();
+herbChain.onWritesPending = showWritesPending;
 
 const tabs = document.querySelectorAll('.tab-button');
 const tabContents = document.querySelectorAll('.tab-content');
 const ledgerBody = document.getElementById('ledger-body');
+const chainIntegrityBanner = document.getElementById('chain-integrity-banner');
 const downloadPdfBtn = document.getElementById('download-pdf-btn');
 const clearDataBtn = document.getElementById('clear-data-btn');
 const addHerbBtn = document.getElementById('add-herb-btn');
@@ -292,6 +3135,7 @@ const measuredUnitSelect = document.getElementById('measured-unit-select');
 const verifyReceiptBtn = document.getElementById('verify-receipt-btn');
 const transferHerbSelect = document.getElementById('transfer-herb-id');
 const availableUnitsSupplierSpan = document.getElementById('available-units-supplier');
+const receiptToleranceSpan = document.getElementById('receipt-tolerance');
 const transferHerbBtn = document.getElementById('transfer-herb-btn');
 const produceMedicineBtn = document.getElementById('produce-medicine-btn');
 const multiBatchInputsContainer = document.getElementById('multi-batch-inputs');
@@ -299,36 +3143,215 @@ const addBatchBtn = document.getElementById('add-batch-btn');
 const qrcodeDiv = document.getElementById('qrcode');
 const qrTitle = document.getElementById('qr-title');
 const generatedQrCount = document.getElementById('generated-qr-count');
-const MAX_BATCHES = 5;
+const MAX_UPLOAD_DIMENSION = 1280;
 const qrImageInput = document.getElementById('qr-image-input');
 const traceResultDiv = document.getElementById('trace-result');
 const traceContent = document.getElementById('trace-content');
 let html5QrcodeScanner;
 const startScanBtn = document.getElementById('start-scan-btn');
 const stopScanBtn = document.getElementById('stop-scan-btn');
+const actingAsSelects = document.querySelectorAll('.acting-as-select');
+const signInParticipantSelect = document.getElementById('signin-participant');
+const signInPinInput = document.getElementById('signin-pin');
+const signInBtn = document.getElementById('signin-btn');
+const signOutBtn = document.getElementById('signout-btn');
+const sessionStatus = document.getElementById('session-status');
+// Tabs that act on the chain, and the roles that may use each one.
+const ROLE_TABS = {
+    collector: ['collector'],
+    supplier: ['supplier'],
+    manufacturer: ['manufacturer'],
+    distribution: ['manufacturer', 'distributor', 'retailer', 'pharmacy'],
+    regulator: ['regulator'],
+    admin: ['admin']
+};
+const evidenceModal = document.getElementById('evidence-modal');
+const registerParticipantBtn = document.getElementById('register-participant-btn');
+const setPinBtn = document.getElementById('set-pin-btn');
+const pinParticipantSelect = document.getElementById('pin-participant');
+const rotateKeyBtn = document.getElementById('rotate-key-btn');
+const rotateParticipantSelect = document.getElementById('rotate-participant');
+const participantsBody = document.getElementById('participants-body');
+const recallsBody = document.getElementById('recalls-body');
+const recallBanner = document.getElementById('recall-banner');
+const recallTargetsList = document.getElementById('recall-targets');
+const rulingSubjectSelect = document.getElementById('ruling-subject');
+const rulingDecisionSelect = document.getElementById('ruling-decision');
+const disputeAlertSelect = document.getElementById('dispute-alert');
+const evidenceDisputeSelect = document.getElementById('evidence-dispute');
+const reinspectDisputeSelect = document.getElementById('reinspect-dispute');
+const resolveDisputeSelect = document.getElementById('resolve-dispute');
+const disputesStatus = document.getElementById('disputes-status');
+const policyEditor = document.getElementById('policy-editor');
+const policyCompareFrom = document.getElementById('policy-compare-from');
+const policyCompareTo = document.getElementById('policy-compare-to');
+
+let collectorQualityData = null;
+let supplierQualityData = null;
+let manufacturerQualityData = null;
+let collectorStream, supplierStream, manufacturerStream = null;
+let currentBatchToVerify = null;
+let currentSessionID = sessionStorage.getItem('herbalChainSession');
+
+//---------------------------------------------------------
+// UI Update Functions
+//---------------------------------------------------------
+function updateAllUI() {
+    updateParticipantSelects();
+    applySession();
+    updateParticipantsTable();
+    updateLedger();
+    updateRecalls();
+    updateRegulatorConsole();
+    updateDisputes();
+    updatePolicyScreen();
+    updateSupplierForm();
+    updateManufacturerForm();
+    updateDistributionForm();
+    updateReputationScores();
+    saveData().then(() => showStorageStatus(null), showStorageStatus);
+}
+
+// Buttons in the tabs are disabled while a contract is writing, so a second click cannot queue the same action again.
+// Only buttons this disabled are re-enabled; the forms disable some of their own.
+function showWritesPending(pending) {
+    document.querySelectorAll('.tab-content button').forEach(button => {
+        if (pending && !button.disabled) {
+            button.disabled = true;
+            button.dataset.writePending = 'true';
+        } else if (!pending && button.dataset.writePending) {
+            button.disabled = false;
+            delete button.dataset.writePending;
+        }
+    });
+}
+
+function getActingParticipant(role) {
+    return document.getElementById(`${role}-acting-as`).value;
+}
+
+function getParticipantName(participantID) {
+    const participant = herbChain.participants[participantID];
+    return participant ? participant.legalName : participantID;
+}
+
+function roleLabels(roles) {
+    return roles.map(role => PARTICIPANT_ROLES[role].label).join(' or ');
+}
+
+// "Acting As" always shows the signed-in participant; tabs for other roles say who has to sign in.
+function updateParticipantSelects() {
+    const session = herbChain.participants[currentSessionID];
+    actingAsSelects.forEach(select => {
+        const roles = ROLE_TABS[select.dataset.role];
+        select.disabled = true;
+        select.innerHTML = session && roles.includes(session.role)
+            ? `<option value="${escapeHtml(session.participantID)}">${escapeHtml(session.legalName)} (${escapeHtml(session.participantID)})</option>`
+            : `<option value="">Sign in as ${roleLabels(roles)} to act here</option>`;
+    });
+
+    const current = signInParticipantSelect.value;
+    signInParticipantSelect.innerHTML = '<option value="">Select participant...</option>';
+    Object.values(herbChain.participants).forEach(p => {
+        const option = document.createElement('option');
+        option.value = p.participantID;
+        option.textContent = `${p.legalName} (${PARTICIPANT_ROLES[p.role].label})`;
+        signInParticipantSelect.appendChild(option);
+    });
+    signInParticipantSelect.value = herbChain.participants[current] ? current : '';
+
+    const pinTarget = pinParticipantSelect.value;
+    pinParticipantSelect.innerHTML = '<option value="">Select participant...</option>';
+    Object.values(herbChain.participants).forEach(p => {
+        const option = document.createElement('option');
+        option.value = p.participantID;
+        option.textContent = `${p.legalName} (${p.participantID})${hasParticipantPin(p.participantID) ? '' : ' — no PIN yet'}`;
+        pinParticipantSelect.appendChild(option);
+    });
+    pinParticipantSelect.value = herbChain.participants[pinTarget] ? pinTarget : '';
+
+    const rotateTarget = rotateParticipantSelect.value;
+    rotateParticipantSelect.innerHTML = '<option value="">Select participant...</option>';
+    Object.values(herbChain.participants).forEach(p => {
+        const option = document.createElement('option');
+        option.value = p.participantID;
+        option.textContent = `${p.legalName} (${p.participantID})${holdsRegisteredKey(p.participantID) ? '' : ' — key not held here'}`;
+        rotateParticipantSelect.appendChild(option);
+    });
+    rotateParticipantSelect.value = herbChain.participants[rotateTarget] ? rotateTarget : '';
+}
 
-let collectorQualityData = null;
-let supplierQualityData = null;
-let manufacturerQualityData = null;
-let collectorStream, supplierStream, manufacturerStream = null;
-let currentBatchToVerify = null;
+function holdsRegisteredKey(participantID) {
+    const entry = loadKeyring()[participantID];
+    return Boolean(entry && entry.fingerprint === herbChain.publicKeys[participantID].fingerprint);
+}
 
-//---------------------------------------------------------
-// UI Update Functions
-//---------------------------------------------------------
-function updateAllUI() {
-    updateLedger();
-    updateSupplierForm();
-    updateManufacturerForm();
-    updateReputationScores();
-    saveData();
+function applySession() {
+    const session = herbChain.participants[currentSessionID];
+    document.getElementById('signed-out-view').style.display = session ? 'none' : 'flex';
+    document.getElementById('signed-in-view').style.display = session ? 'flex' : 'none';
+    document.getElementById('signed-in-label').textContent = session
+        ? `Signed in as ${session.legalName} (${session.participantID}, ${PARTICIPANT_ROLES[session.role].label})`
+        : '';
+    Object.entries(ROLE_TABS).forEach(([tab, roles]) => {
+        const locked = !session || !roles.includes(session.role);
+        const tabContent = document.getElementById(tab);
+        tabContent.classList.toggle('locked', locked);
+        tabContent.querySelector('.role-lock-notice').textContent = locked
+            ? `🔒 This tab is locked. Sign in as a ${roleLabels(roles)} to use it.`
+            : '';
+    });
+}
+
+function updateParticipantsTable() {
+    participantsBody.innerHTML = '';
+    Object.values(herbChain.participants).forEach(p => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${escapeHtml(p.participantID)}</td>
+            <td>${PARTICIPANT_ROLES[p.role] ? PARTICIPANT_ROLES[p.role].label : escapeHtml(p.role)}</td>
+            <td>${escapeHtml(p.legalName)}</td>
+            <td>${escapeHtml(p.licenceNumber)}</td>
+            <td>${escapeHtml(p.region)}</td>
+            <td>${herbChain.publicKeys[p.participantID].fingerprint.substring(0, 16)}...${holdsRegisteredKey(p.participantID) ? '' : ' ⚠️ not held here'}</td>
+        `;
+        participantsBody.appendChild(row);
+    });
+}
+
+// Quantities are held on chain in base units; show them in the unit the collector registered with.
+function getDisplayUnit(herbID) {
+    const master = herbChain.metadata[herbID];
+    const registration = master && master.history[0];
+    if (registration && registration.type === 'mergeLot') return getDisplayUnit(master.parentLots[0]);
+    return registration ? (registration.enteredUnit || registration.unitType) : 'Gram';
+}
+
+function describeLotChange(record) {
+    const unit = getDisplayUnit(record.herbID);
+    if (record.type === 'splitLot') {
+        const children = record.children.map(child => `${child.herbID} ${formatQuantity(child.quantity, record.unitType, unit)}`);
+        return `${formatQuantity(record.heldQuantity, record.unitType, unit)} = ${[...children, `${formatQuantity(record.remainingQuantity, record.unitType, unit)} kept`].join(' + ')}`;
+    }
+    const parents = record.parents.map(parent => `${parent.herbID} ${formatQuantity(parent.quantity, parent.unitType, unit)}`);
+    return `${parents.join(' + ')} = ${formatQuantity(record.quantity, record.unitType, unit)} in ${record.herbID}`;
 }
 
+function populateUnitSelect(select, unit, selectedUnit = unit) {
+    const units = compatibleUnits(unit);
+    select.innerHTML = units.map(u => `<option value="${u}">${u}</option>`).join('');
+    select.value = units.includes(selectedUnit) ? selectedUnit : unit;
+}
+
+const QUALITY_FIELDS = ['quality', 'supplierQuality', 'manufacturerQuality'];
+const SIGNATURE_LABELS = { valid: '✅ Valid', invalid: '🚨 Invalid', unsigned: '⚠️ Unsigned' };
+
 function getReputationTier(score) {
-    if (score >= 95) return { name: 'Excellent', class: 'excellent' };
-    if (score >= 80) return { name: 'Good', class: 'good' };
-    if (score >= 70) return { name: 'Average', class: 'average' };
-    if (score >= 50) return { name: 'Watchlist ⚠️', class: 'watchlist' };
+    const { reputationTiers, suspensionThreshold } = herbChain.policy;
+    if (score >= reputationTiers.excellent) return { name: 'Excellent', class: 'excellent' };
+    if (score >= reputationTiers.good) return { name: 'Good', class: 'good' };
+    if (score >= reputationTiers.average) return { name: 'Average', class: 'average' };
+    if (score >= suspensionThreshold) return { name: 'Watchlist ⚠️', class: 'watchlist' };
     return { name: 'Suspended ❌', class: 'suspended' };
 }
 
@@ -337,21 +3360,12 @@ function updateReputationScores() {
     scoresContainer.innerHTML = '';
     if (!herbChain.reputationScores) return;
 
-    const manuOptions = document.getElementById('transfer-to').options;
-    const participantNames = {
-        'COLLECTOR-001': 'Collector',
-        'SUPPLIER-001': 'Supplier',
-    };
-    for(let i=1; i<manuOptions.length; i++){
-        participantNames[manuOptions[i].value] = manuOptions[i].textContent;
-    }
-
     Object.entries(herbChain.reputationScores).forEach(([id, score]) => {
         const card = document.createElement('div');
         card.className = 'reputation-card';
         const tier = getReputationTier(score);
         card.innerHTML = `
-            <span class="participant-name">${participantNames[id] || id}</span>
+            <span class="participant-name">${escapeHtml(getParticipantName(id))}</span>
             <span class="participant-score ${tier.class}">${score}</span>
             <span class="participant-tier ${tier.class}">${tier.name}</span>
         `;
@@ -359,6 +3373,39 @@ function updateReputationScores() {
     });
 }
 
+// The picker lists every catalogue species whose code or names match the search, keeping the current choice when it still matches.
+function updateSpeciesPicker() {
+    const speciesSelect = document.getElementById('collector-herb-species');
+    const current = speciesSelect.value;
+    const matches = searchSpecies(document.getElementById('collector-species-search').value);
+    speciesSelect.innerHTML = '';
+    matches.forEach(([code, species]) => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.textContent = `${species.commonName} / ${species.hindiName} / ${species.sanskritName} — ${species.botanicalName}`;
+        speciesSelect.appendChild(option);
+    });
+    speciesSelect.value = matches.some(([code]) => code === current) ? current : (matches.length === 1 ? matches[0][0] : '');
+    showSpeciesInfo();
+}
+
+function showSpeciesInfo() {
+    const code = document.getElementById('collector-herb-species').value;
+    const species = SPECIES_CATALOGUE[code];
+    const info = document.getElementById('collector-species-info');
+    const permitGroup = document.getElementById('collector-permit-group');
+    if (!species) {
+        info.textContent = 'Select a species from the catalogue.';
+        permitGroup.style.display = 'none';
+        return;
+    }
+    const status = CONSERVATION_STATUSES[species.conservationStatus];
+    const season = isInHarvestSeason(species, Date.now()) ? '' : ' ⚠️ Out of season now.';
+    info.innerHTML = `${code}: ${species.partUsed}, harvested ${describeHarvestSeason(species)}.${season} `
+        + `<span class="${status.redListed ? 'species-red-listed' : ''}">${status.label}${status.redListed ? ' — collection permit required' : ''}</span>`;
+    permitGroup.style.display = status.redListed ? 'block' : 'none';
+}
+
 function updateSupplierForm() {
     const unverifiedBatches = Object.entries(herbChain.metadata)
         .filter(([id, data]) => data.status === 'pending_verification');
@@ -370,12 +3417,12 @@ function updateSupplierForm() {
             const option = document.createElement('option');
             option.value = id;
             const regData = data.history[0];
-            option.textContent = `${regData.name} (ID: ${id.substring(5,12)}... Claim: ${regData.quantity} ${regData.unitType})`;
+            option.textContent = `${regData.name} (ID: ${shortHerbID(id)} Claim: ${formatQuantity(regData.quantity, regData.unitType, getDisplayUnit(id))})`;
             verifyHerbSelect.appendChild(option);
         });
     }
 
-    const supplierInventory = herbChain.inventories['SUPPLIER-001'];
+    const supplierInventory = herbChain.inventories[getActingParticipant('supplier')] || {};
     const availableHerbs = Object.entries(supplierInventory)
         .filter(([id, data]) => data.quantity > 0 && herbChain.metadata[id].status === 'verified');
 
@@ -384,15 +3431,40 @@ function updateSupplierForm() {
         availableHerbs.forEach(([id, data]) => {
             const option = document.createElement('option');
             option.value = id;
-            option.textContent = `${data.name} (ID: ${id.substring(5, 12)}... - ${data.quantity.toFixed(2)} ${data.unitType})`;
+            option.textContent = `${data.name} (ID: ${shortHerbID(id)} - ${formatQuantity(data.quantity, data.unitType, getDisplayUnit(id))})`;
             transferHerbSelect.appendChild(option);
         });
     }
     availableUnitsSupplierSpan.textContent = '';
+
+    const splitSelect = document.getElementById('split-herb-id');
+    const currentSplit = splitSelect.value;
+    splitSelect.innerHTML = '<option value="">Select a verified lot...</option>';
+    const mergeSelect = document.getElementById('merge-herb-ids');
+    mergeSelect.innerHTML = '';
+    availableHerbs.forEach(([id, data]) => {
+        [splitSelect, mergeSelect].forEach(select => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = `${data.name} (ID: ${shortHerbID(id)} - ${formatQuantity(data.quantity, data.unitType, getDisplayUnit(id))})`;
+            select.appendChild(option);
+        });
+    });
+    splitSelect.value = availableHerbs.some(([id]) => id === currentSplit) ? currentSplit : '';
+    updateSplitUnits();
+
+    const transferToSelect = document.getElementById('transfer-to');
+    transferToSelect.innerHTML = '<option value="">Select Manufacturer</option>';
+    herbChain.getParticipantsByRole('manufacturer').forEach(p => {
+        const option = document.createElement('option');
+        option.value = p.participantID;
+        option.textContent = `${p.legalName} (${p.region})`;
+        transferToSelect.appendChild(option);
+    });
 }
 
 function updateManufacturerForm() {
-    const manufacturerInventory = herbChain.inventories['MANU-001'] || {};
+    const manufacturerInventory = herbChain.inventories[getActingParticipant('manufacturer')] || {};
     const transferredHerbs = Object.entries(manufacturerInventory).filter(([id, data]) => data.quantity > 0);
 
     if (transferredHerbs.length === 0 && multiBatchInputsContainer.children.length === 0) {
@@ -401,17 +3473,543 @@ function updateManufacturerForm() {
         multiBatchInputsContainer.innerHTML = '';
     }
     
-    const canAddMore = multiBatchInputsContainer.querySelectorAll('.batch-input-group').length < MAX_BATCHES;
+    const maxBatches = herbChain.policy.maxBatchesPerProduct;
+    const canAddMore = multiBatchInputsContainer.querySelectorAll('.batch-input-group').length < maxBatches;
 
     addBatchBtn.style.display = 'block';
     addBatchBtn.disabled = !(transferredHerbs.length > 0 && canAddMore);
     addBatchBtn.classList.toggle('disabled', addBatchBtn.disabled);
-    addBatchBtn.textContent = canAddMore ? (transferredHerbs.length > 0 ? 'Add Herb Batch' : 'No Batches Available') : `Maximum ${MAX_BATCHES} Batches`;
+    addBatchBtn.textContent = canAddMore ? (transferredHerbs.length > 0 ? 'Add Herb Batch' : 'No Batches Available') : `Maximum ${maxBatches} Batches`;
+    updateFormulations();
+}
+
+function updateFormulations() {
+    const manufacturerID = getActingParticipant('manufacturer');
+    const products = Object.values(herbChain.formulations)
+        .filter(versions => versions[0].manufacturerID === manufacturerID)
+        .map(versions => versions[versions.length - 1]);
+
+    const formulationsBody = document.getElementById('formulations-body');
+    formulationsBody.innerHTML = products.length === 0 ? '<tr><td colspan="6" style="text-align: center;">No formulations recorded.</td></tr>' : '';
+    products.forEach(f => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${escapeHtml(f.productName)} (${escapeHtml(f.productID)})</td>
+            <td>${escapeHtml(f.version)}</td>
+            <td>${escapeHtml(`${f.herbContentPerUnit} ${f.contentUnit} per ${f.packUnit}`)}</td>
+            <td>${f.ingredients ? escapeHtml(describeComposition(f.ingredients)) : 'Not listed'}</td>
+            <td>±${escapeHtml(f.tolerancePercent)}%</td>
+            <td>${new Date(f.timestamp).toLocaleString()}</td>
+        `;
+        formulationsBody.appendChild(row);
+    });
+
+    const productSelect = document.getElementById('production-product');
+    const current = productSelect.value;
+    productSelect.innerHTML = products.length === 0
+        ? '<option value="">Record a product formulation first</option>'
+        : '<option value="">Select the product to produce...</option>';
+    products.forEach(f => {
+        const option = document.createElement('option');
+        option.value = f.productID;
+        option.textContent = `${f.productName} (version ${f.version}, ${f.herbContentPerUnit} ${f.contentUnit} per ${f.packUnit})`;
+        productSelect.appendChild(option);
+    });
+    productSelect.value = products.some(f => f.productID === current) ? current : '';
+    showProductPackUnit();
+}
+
+// Recipes name herbs as the collectors' registrations do, by catalogue code.
+function addIngredientRow() {
+    const row = document.createElement('div');
+    row.className = 'ingredient-input-group';
+    row.innerHTML = `
+        <select class="ingredient-species-select">
+            <option value="">Herb species...</option>
+            ${Object.entries(SPECIES_CATALOGUE).map(([code, species]) => `<option value="${code}">${species.commonName} (${species.botanicalName})</option>`).join('')}
+        </select>
+        <input type="number" class="ingredient-proportion-input" min="0" max="100" step="any" placeholder="Proportion %">
+        <input type="number" class="ingredient-tolerance-input" min="0" max="100" step="any" placeholder="± points">
+        <button type="button" class="remove-batch-btn">&times;</button>
+    `;
+    row.querySelector('.remove-batch-btn').addEventListener('click', () => row.remove());
+    document.getElementById('formulation-ingredients').appendChild(row);
+}
+
+// Batches are produced in the product's pack unit, from the herbs its recipe names.
+function showProductPackUnit() {
+    const formulation = herbChain.getFormulation(document.getElementById('production-product').value);
+    const unitSelect = document.getElementById('final-medicine-unit-select');
+    if (formulation) unitSelect.value = formulation.packUnit;
+    unitSelect.disabled = Boolean(formulation);
+    document.getElementById('production-recipe').textContent = formulation && formulation.ingredients ? `Recipe: ${describeComposition(formulation.ingredients)}` : '';
+}
+
+function recallBannerHtml(recalls) {
+    return `<strong>⛔ RECALLED — Do not use or sell</strong>
+        <ul>${recalls.map(recall => `<li><strong>${escapeHtml(recall.targetID)}</strong> (${recall.targetKind === 'herb' ? 'herb batch' : 'medicine batch'}) recalled by ${escapeHtml(getParticipantName(recall.recallerID))} on ${new Date(recall.timestamp).toLocaleString()}: ${escapeHtml(recall.reason)}</li>`).join('')}</ul>`;
+}
+
+function isRecalledRecord(data) {
+    if (data.type === 'recallBatch') return true;
+    if (data.herbID && herbChain.recalls[data.herbID]) return true;
+    return Boolean(data.batchID && herbChain.getRecallsForMedicine(data.batchID).length > 0);
+}
+
+// The report lists medicine batches the recall reaches now, including ones made from a recalled herb after the recall.
+function updateRecalls() {
+    const recalls = Object.values(herbChain.recalls).sort((a, b) => b.timestamp - a.timestamp);
+    recallsBody.innerHTML = recalls.length === 0
+        ? '<tr><td colspan="6" style="text-align: center; color: var(--accent-color);">No recalls.</td></tr>'
+        : '';
+    recalls.forEach(recall => {
+        const affected = recall.targetKind === 'herb' ? herbChain.getMedicineBatchesUsing(recall.targetID) : [recall.targetID];
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${escapeHtml(recall.targetID)}</td>
+            <td>${recall.targetKind === 'herb' ? 'Herb Batch' : 'Medicine Batch'}</td>
+            <td>${affected.length > 0 ? affected.map(escapeHtml).join('<br>') : 'None yet'}</td>
+            <td>${escapeHtml(recall.reason)}</td>
+            <td>${escapeHtml(getParticipantName(recall.recallerID))}</td>
+            <td>${new Date(recall.timestamp).toLocaleString()}</td>
+        `;
+        recallsBody.appendChild(row);
+    });
+
+    recallBanner.classList.toggle('hidden', recalls.length === 0);
+    recallBanner.innerHTML = recalls.length > 0 ? recallBannerHtml(recalls) : '';
+
+    const targets = [
+        ...Object.keys(herbChain.metadata),
+        ...herbChain.chain.filter(block => block.data.type === 'useHerb').map(block => block.data.batchID)
+    ].filter(id => !herbChain.recalls[id]);
+    recallTargetsList.innerHTML = targets.map(id => `<option value="${escapeHtml(id)}"></option>`).join('');
+}
+
+function latestRulingText(subjectKind, subjectID) {
+    const rulings = herbChain.getRulings(subjectKind, subjectID);
+    if (rulings.length === 0) return '⏳ Awaiting ruling';
+    const latest = rulings[rulings.length - 1];
+    return `⚖️ ${latest.decision} (${new Date(latest.timestamp).toLocaleDateString()})`;
+}
+
+function showRegulatorChainStatus() {
+    const statusDiv = document.getElementById('regulator-chain-status');
+    const { valid, message } = herbChain.integrity;
+    const { invalid, unsigned } = herbChain.signatureChecks;
+    statusDiv.className = `status-message ${valid && invalid.length === 0 ? 'success' : 'error'}`;
+    statusDiv.textContent = `${valid ? '✅' : '🚨'} ${message} Signatures checked on load: ${invalid.length} invalid, ${unsigned.length} unsigned.`;
+    showStateMismatches(statusDiv);
+}
+
+// Saved state that disagreed with the replayed chain was discarded on load; say where, so tampering does not go unnoticed.
+// The report stays until a regulator acknowledges it, across saves and reloads.
+function showStateMismatches(container) {
+    if (!mismatchReport) return;
+    const { mismatches, detectedAt } = mismatchReport;
+    container.className = 'status-message error';
+    const details = document.createElement('details');
+    details.innerHTML = `<summary>🚨 Saved state disagreed with the blockchain in ${mismatches.length} place(s), first found ${new Date(detectedAt).toLocaleString()}. Balances, statuses and reputation have been rebuilt from the blocks.</summary>
+        <ul>${mismatches.map(mismatch => `<li>${escapeHtml(mismatch)}</li>`).join('')}</ul>`;
+    const acknowledgeBtn = document.createElement('button');
+    acknowledgeBtn.type = 'button';
+    acknowledgeBtn.className = 'btn btn-small';
+    acknowledgeBtn.textContent = 'Acknowledge and Clear Report';
+    acknowledgeBtn.addEventListener('click', () => {
+        acknowledgeStateMismatches().catch(showStorageStatus);
+        showRegulatorChainStatus();
+    });
+    details.appendChild(acknowledgeBtn);
+    container.appendChild(details);
+}
+
+function updateRegulatorConsole() {
+    showRegulatorChainStatus();
+    const subjects = [];
+
+    const alertsBody = document.getElementById('regulator-alerts-body');
+    const alerts = herbChain.chain.map((block, index) => ({ block, index }))
+        .filter(({ block }) => FRAUD_ALERT_TYPES.includes(block.data.type)).reverse();
+    alertsBody.innerHTML = alerts.length === 0 ? '<tr><td colspan="9" style="text-align: center;">No fraud alerts.</td></tr>' : '';
+    alerts.forEach(({ block, index }) => {
+        const data = block.data;
+        const isWeightAlert = data.type === 'fraudAlert';
+        const againstID = isWeightAlert ? data.collectorID : data.supplierID;
+        const raisedByID = isWeightAlert ? data.supplierID : data.manufacturerID;
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td><a href="#ledger-row-${index}">${index}</a></td>
+            <td>${isWeightAlert ? 'Weight mismatch' : 'Quality failure'}</td>
+            <td>${escapeHtml(data.herbID)}</td>
+            <td>${againstID ? escapeHtml(getParticipantName(againstID)) : 'Unknown'}</td>
+            <td>${escapeHtml(getParticipantName(raisedByID))}</td>
+            <td>${escapeHtml(isWeightAlert ? data.message : describeQuality({ score: data.qualityScore, breakdown: data.qualityBreakdown, inputMode: data.inputMode }))}</td>
+            <td>${evidenceButton(data.evidence) || 'None'}</td>
+            <td>${escapeHtml(disputeStatusText(herbChain.disputes[`DSP-${index}`]))}</td>
+            <td>${escapeHtml(latestRulingText('alert', String(index)))}</td>
+        `;
+        alertsBody.appendChild(row);
+        subjects.push({ kind: 'alert', id: index, label: `Block ${index}: ${isWeightAlert ? 'weight mismatch' : 'quality failure'} on ${data.herbID}` });
+    });
+
+    const watchlistBody = document.getElementById('regulator-watchlist-body');
+    const flagged = Object.entries(herbChain.reputationScores)
+        .map(([id, score]) => ({ id, score, tier: getReputationTier(score) }))
+        .filter(({ tier }) => tier.class === 'watchlist' || tier.class === 'suspended')
+        .sort((a, b) => a.score - b.score);
+    watchlistBody.innerHTML = flagged.length === 0 ? '<tr><td colspan="6" style="text-align: center;">No participants on watchlist or suspended.</td></tr>' : '';
+    flagged.forEach(({ id, score, tier }) => {
+        const participant = herbChain.participants[id];
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${escapeHtml(id)}</td>
+            <td>${escapeHtml(getParticipantName(id))}</td>
+            <td>${participant ? PARTICIPANT_ROLES[participant.role].label : 'Unregistered'}</td>
+            <td><span class="participant-score ${tier.class}">${score}</span></td>
+            <td><span class="participant-tier ${tier.class}">${tier.name}</span></td>
+            <td>${escapeHtml(latestRulingText('participant', id))}</td>
+        `;
+        watchlistBody.appendChild(row);
+        if (participant) subjects.push({ kind: 'participant', id, label: `${getParticipantName(id)} (${tier.name})` });
+    });
+
+    const yieldBody = document.getElementById('regulator-yield-body');
+    yieldBody.innerHTML = herbChain.yieldAnomalies.length === 0 ? '<tr><td colspan="6" style="text-align: center;">No yield anomalies.</td></tr>' : '';
+    herbChain.yieldAnomalies.slice().reverse().forEach(anomaly => {
+        const formulation = herbChain.getFormulation(anomaly.productID, anomaly.formulationVersion);
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${escapeHtml(anomaly.batchID)}</td>
+            <td>${escapeHtml(formulation ? formulation.productName : anomaly.productID)} (version ${escapeHtml(anomaly.formulationVersion)})</td>
+            <td>${escapeHtml(getParticipantName(anomaly.manufacturerID))}</td>
+            <td>${escapeHtml(describeYield(anomaly))}</td>
+            <td>${escapeHtml(anomaly.blocked ? `Blocked (over ${anomaly.blockPercent}%)` : `Produced ${anomaly.finalWeight} ${anomaly.finalUnit}`)}</td>
+            <td>${new Date(anomaly.timestamp).toLocaleString()}</td>
+        `;
+        yieldBody.appendChild(row);
+    });
+
+    document.getElementById('regulator-sla-hours').textContent = herbChain.policy.verificationSlaHours;
+    const overdueBody = document.getElementById('regulator-overdue-body');
+    const overdue = herbChain.getOverdueBatches();
+    overdueBody.innerHTML = overdue.length === 0 ? '<tr><td colspan="6" style="text-align: center;">No overdue batches.</td></tr>' : '';
+    overdue.forEach(batch => {
+        const hoursWaiting = Math.floor((Date.now() - batch.since) / 3600000);
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${escapeHtml(batch.herbID)}</td>
+            <td>${escapeHtml(batch.name)}</td>
+            <td>${escapeHtml(batch.stage)}</td>
+            <td>${escapeHtml(getParticipantName(batch.holderID))}</td>
+            <td>${new Date(batch.since).toLocaleString()} (${hoursWaiting} h)</td>
+            <td>${escapeHtml(latestRulingText('batch', batch.herbID))}</td>
+        `;
+        overdueBody.appendChild(row);
+        subjects.push({ kind: 'batch', id: batch.herbID, label: `${batch.name} (${batch.herbID}) overdue ${hoursWaiting} h` });
+    });
+
+    const current = rulingSubjectSelect.value;
+    rulingSubjectSelect.innerHTML = subjects.length === 0
+        ? '<option value="">Nothing needs a ruling</option>'
+        : '<option value="">Select an alert, participant or batch...</option>';
+    subjects.forEach(subject => {
+        const option = document.createElement('option');
+        option.value = `${subject.kind}:${subject.id}`;
+        option.textContent = subject.label;
+        rulingSubjectSelect.appendChild(option);
+    });
+    rulingSubjectSelect.value = subjects.some(subject => `${subject.kind}:${subject.id}` === current) ? current : '';
+    updateRulingDecisions();
+}
+
+function disputeStatusText(dispute) {
+    if (!dispute) return 'Not disputed';
+    return dispute.outcome ? `${DISPUTE_STATUSES.resolved}: ${DISPUTE_OUTCOMES[dispute.outcome]}` : DISPUTE_STATUSES[dispute.status];
+}
+
+function describeDisputeStep(step) {
+    const when = new Date(step.timestamp).toLocaleString();
+    switch (step.type) {
+        case 'openDispute':
+            return `${when}: opened by ${escapeHtml(getParticipantName(step.openedBy))}: "${escapeHtml(step.statement)}"`;
+        case 'submitDisputeEvidence':
+            return `${when}: evidence from ${escapeHtml(getParticipantName(step.submittedBy))}${step.note ? `: "${escapeHtml(step.note)}"` : ''}${evidenceButton(step.evidence)}`;
+        case 'reinspectDispute': {
+            const measured = step.reinspectedQuantity !== undefined
+                ? `re-measured ${formatQuantity(step.reinspectedQuantity, step.unitType, step.enteredUnit)}`
+                : `re-inspection score ${step.reinspectedScore}/100`;
+            return `${when}: re-inspected by ${escapeHtml(getParticipantName(step.regulatorID))}, ${escapeHtml(measured)}: "${escapeHtml(step.findings)}"`;
+        }
+        default: {
+            const stepIndex = herbChain.chain.findIndex(block => block.data === step);
+            const deltas = Object.entries(herbChain.getReputationDeltas(stepIndex)).map(([id, delta]) => `${escapeHtml(getParticipantName(id))} ${delta > 0 ? '+' : ''}${delta}`).join(', ');
+            return `${when}: ${escapeHtml(DISPUTE_OUTCOMES[step.outcome])} by ${escapeHtml(getParticipantName(step.regulatorID))}${deltas ? ` (reputation: ${deltas})` : ''}${step.notes ? `: "${escapeHtml(step.notes)}"` : ''}`;
+        }
+    }
+}
+
+function fillDisputeSelect(select, disputes, emptyText) {
+    const current = select.value;
+    select.innerHTML = disputes.length === 0 ? `<option value="">${emptyText}</option>` : '<option value="">Select a dispute...</option>';
+    disputes.forEach(dispute => {
+        const option = document.createElement('option');
+        option.value = dispute.disputeID;
+        option.textContent = `${dispute.disputeID}: ${dispute.disputeKind} dispute on ${dispute.herbID} (${DISPUTE_STATUSES[dispute.status]})`;
+        select.appendChild(option);
+    });
+    select.value = disputes.some(dispute => dispute.disputeID === current) ? current : '';
+}
+
+function updateDisputes() {
+    const disputes = Object.values(herbChain.disputes);
+    const disputesBody = document.getElementById('disputes-body');
+    disputesBody.innerHTML = disputes.length === 0 ? '<tr><td colspan="7" style="text-align: center;">No disputes.</td></tr>' : '';
+    disputes.slice().reverse().forEach(dispute => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${escapeHtml(dispute.disputeID)}</td>
+            <td>${escapeHtml(dispute.herbID)}</td>
+            <td>${dispute.disputeKind === 'weight' ? 'Weight mismatch' : 'Quality failure'}</td>
+            <td>${escapeHtml(getParticipantName(dispute.accusedID))}</td>
+            <td>${escapeHtml(getParticipantName(dispute.accuserID))}</td>
+            <td>${escapeHtml(disputeStatusText(dispute))}</td>
+            <td><details><summary>${dispute.steps.length} step(s)</summary><ul>${dispute.steps.map(step => `<li>${describeDisputeStep(step)}</li>`).join('')}</ul></details></td>
+        `;
+        disputesBody.appendChild(row);
+    });
+
+    const isParty = dispute => currentSessionID === dispute.accusedID || currentSessionID === dispute.accuserID;
+    const openable = herbChain.chain.map((block, index) => ({ data: block.data, index }))
+        .filter(({ data, index }) => FRAUD_ALERT_TYPES.includes(data.type) && !herbChain.disputes[`DSP-${index}`])
+        .filter(({ data }) => data.type === 'fraudAlert'
+            ? herbChain.metadata[data.herbID].status === 'disputed'
+            : (herbChain.inventories[data.manufacturerID] || {})[data.herbID]?.status === 'disputed_by_manufacturer')
+        .filter(({ data }) => data.type === 'fraudAlert'
+            ? isParty({ accusedID: data.collectorID, accuserID: data.supplierID })
+            : isParty({ accusedID: data.supplierID, accuserID: data.manufacturerID }));
+    const currentAlert = disputeAlertSelect.value;
+    disputeAlertSelect.innerHTML = openable.length === 0
+        ? '<option value="">No alerts you can dispute</option>'
+        : '<option value="">Select a fraud alert...</option>';
+    openable.forEach(({ data, index }) => {
+        const option = document.createElement('option');
+        option.value = index;
+        option.textContent = `Block ${index}: ${data.type === 'fraudAlert' ? 'weight mismatch' : 'quality failure'} on ${data.herbID}`;
+        disputeAlertSelect.appendChild(option);
+    });
+    disputeAlertSelect.value = openable.some(({ index }) => String(index) === currentAlert) ? currentAlert : '';
+
+    fillDisputeSelect(evidenceDisputeSelect,
+        disputes.filter(dispute => ['open', 'evidence_submitted'].includes(dispute.status) && isParty(dispute)),
+        'No disputes of yours are accepting evidence');
+    fillDisputeSelect(reinspectDisputeSelect,
+        disputes.filter(dispute => ['open', 'evidence_submitted'].includes(dispute.status)),
+        'No disputes awaiting re-inspection');
+    fillDisputeSelect(resolveDisputeSelect,
+        disputes.filter(dispute => dispute.status === 're_inspected'),
+        'No re-inspected disputes');
+    updateReinspectFields();
+}
+
+// Weight disputes are re-measured in any unit convertible to the alert's unit; quality disputes take a score.
+function updateReinspectFields() {
+    const dispute = herbChain.disputes[reinspectDisputeSelect.value];
+    const isWeight = !dispute || dispute.disputeKind === 'weight';
+    document.getElementById('reinspect-weight-fields').style.display = isWeight ? 'block' : 'none';
+    document.getElementById('reinspect-quality-fields').style.display = !dispute || !isWeight ? 'block' : 'none';
+    if (dispute && isWeight) {
+        populateUnitSelect(document.getElementById('reinspect-unit'), herbChain.chain[dispute.alertIndex].data.unitType);
+    }
+}
+
+function requireDisputeSelection(select) {
+    if (select.value) return true;
+    showDisputeResult({ success: false, message: 'Please select a dispute first.' });
+    return false;
+}
+
+function showDisputeResult(result) {
+    disputesStatus.textContent = result.message;
+    disputesStatus.className = `status-message ${result.success ? 'success' : 'error'}`;
+    if (result.success) updateAllUI();
+    return result.success;
+}
+
+function describeShipmentUnits(shipment) {
+    const packing = shipment.caseSize ? `${shipment.cases} case(s) of ${shipment.caseSize}` : `${shipment.unitCount} unit(s)`;
+    return `${packing}: ${shipment.firstSerial} to ${shipment.lastSerial}`;
+}
+
+function shipmentStatusText(shipment) {
+    const status = SHIPMENT_STATUSES[shipment.status];
+    if (!shipment.receipt) return status;
+    const { receivedCount, expectedCount, notes, missingUnits, timestamp } = shipment.receipt;
+    const missing = missingUnits ? `; missing units ${describeUnitRanges(missingUnits)}` : '';
+    const count = shipment.status === 'discrepancy' ? ` — counted ${receivedCount} of ${expectedCount}${missing}${notes ? ` (${notes})` : ''}` : '';
+    return `${status} on ${new Date(timestamp).toLocaleString()}${count}`;
+}
+
+function updateDistributionForm() {
+    const participantID = getActingParticipant('distribution');
+    const participant = herbChain.participants[participantID];
+    const stock = herbChain.medicineStock[participantID] || {};
+    const batchSelect = document.getElementById('ship-batch-id');
+    const currentBatch = batchSelect.value;
+    const heldBatches = Object.entries(stock).filter(([, ranges]) => countUnits(ranges) > 0);
+    batchSelect.innerHTML = heldBatches.length === 0
+        ? '<option value="">No medicine units in your stock</option>'
+        : '<option value="">Select a batch...</option>';
+    heldBatches.forEach(([batchID, ranges]) => {
+        const option = document.createElement('option');
+        option.value = batchID;
+        option.textContent = `${batchID} (${countUnits(ranges)} units)`;
+        batchSelect.appendChild(option);
+    });
+    batchSelect.value = stock[currentBatch] ? currentBatch : '';
+    showHeldUnits();
+
+    const shipToSelect = document.getElementById('ship-to');
+    const allowedRoles = participant ? MEDICINE_ROUTES[participant.role] || [] : [];
+    shipToSelect.innerHTML = allowedRoles.length === 0
+        ? '<option value="">Pharmacies dispense to patients and do not ship on</option>'
+        : `<option value="">Select ${roleLabels(allowedRoles)}</option>`;
+    Object.values(herbChain.participants)
+        .filter(p => allowedRoles.includes(p.role) && p.participantID !== participantID)
+        .forEach(p => {
+            const option = document.createElement('option');
+            option.value = p.participantID;
+            option.textContent = `${p.legalName} (${PARTICIPANT_ROLES[p.role].label}, ${p.region})`;
+            shipToSelect.appendChild(option);
+        });
+
+    const shipments = Object.values(herbChain.shipments);
+    const incoming = shipments.filter(shipment => shipment.toID === participantID && shipment.status === 'in_transit');
+    const receiveSelect = document.getElementById('receive-shipment-id');
+    receiveSelect.innerHTML = incoming.length === 0
+        ? '<option value="">No shipments awaiting your receipt</option>'
+        : '<option value="">Select a shipment...</option>';
+    incoming.forEach(shipment => {
+        const option = document.createElement('option');
+        option.value = shipment.shipmentID;
+        option.textContent = `${shipment.shipmentID} from ${getParticipantName(shipment.fromID)} — ${describeShipmentUnits(shipment)}`;
+        receiveSelect.appendChild(option);
+    });
+
+    const shipmentsBody = document.getElementById('shipments-body');
+    shipmentsBody.innerHTML = shipments.length === 0 ? '<tr><td colspan="6" style="text-align: center;">No shipments yet.</td></tr>' : '';
+    shipments.slice().reverse().forEach(shipment => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${escapeHtml(shipment.shipmentID)}</td>
+            <td>${escapeHtml(shipment.batchID)}</td>
+            <td>${escapeHtml(describeShipmentUnits(shipment))}</td>
+            <td>${escapeHtml(getParticipantName(shipment.fromID))}</td>
+            <td>${escapeHtml(getParticipantName(shipment.toID))}</td>
+            <td>${escapeHtml(shipmentStatusText(shipment))}</td>
+        `;
+        if (shipment.status === 'discrepancy') {
+            row.style.backgroundColor = 'var(--error-light)';
+            row.style.color = 'var(--error-dark)';
+        }
+        shipmentsBody.appendChild(row);
+    });
+}
+
+function showHeldUnits() {
+    const batchID = document.getElementById('ship-batch-id').value;
+    const ranges = (herbChain.medicineStock[getActingParticipant('distribution')] || {})[batchID];
+    document.getElementById('ship-held-units').textContent = ranges ? `You hold units ${describeUnitRanges(ranges)}.` : '';
+}
+
+// The editor keeps unsaved edits across refreshes; it is only refilled when empty or after a version change.
+let policyEditorVersion = null;
+
+function updatePolicyScreen() {
+    const active = herbChain.policies[herbChain.policies.length - 1];
+    document.getElementById('policy-active-version').textContent =
+        `Active: version ${active.version}${active.setBy ? `, set by ${getParticipantName(active.setBy)} on ${new Date(active.timestamp).toLocaleString()}` : ' (built-in default)'}.`;
+    if (!policyEditor.value || policyEditorVersion !== active.version) {
+        policyEditor.value = JSON.stringify(active.policy, null, 2);
+        policyEditorVersion = active.version;
+    }
+
+    const historyBody = document.getElementById('policy-history-body');
+    historyBody.innerHTML = '';
+    herbChain.policies.slice().reverse().forEach(entry => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${escapeHtml(entry.version)}</td>
+            <td>${entry.setBy ? escapeHtml(getParticipantName(entry.setBy)) : 'Built-in'}</td>
+            <td>${entry.timestamp ? new Date(entry.timestamp).toLocaleString() : 'N/A'}</td>
+            <td>${escapeHtml(entry.note)}</td>
+        `;
+        historyBody.appendChild(row);
+    });
+
+    [policyCompareFrom, policyCompareTo].forEach((select, i) => {
+        const current = parseInt(select.value, 10);
+        select.innerHTML = herbChain.policies.map(entry => `<option value="${escapeHtml(entry.version)}">Version ${escapeHtml(entry.version)}</option>`).join('');
+        const fallback = herbChain.policies[Math.max(0, herbChain.policies.length - 2 + i)].version;
+        select.value = herbChain.policies.some(entry => entry.version === current) ? current : fallback;
+    });
+    showPolicyDiff();
+}
+
+function showPolicyDiff() {
+    const changes = diffPolicies(herbChain.getPolicy(parseInt(policyCompareFrom.value, 10)), herbChain.getPolicy(parseInt(policyCompareTo.value, 10)));
+    const diffBody = document.getElementById('policy-diff-body');
+    diffBody.innerHTML = changes.length === 0 ? '<tr><td colspan="3" style="text-align: center;">No differences.</td></tr>' : '';
+    changes.forEach(change => {
+        const row = document.createElement('tr');
+        row.innerHTML = `<td>${escapeHtml(change.path)}</td><td>${escapeHtml(change.before ?? '(not set)')}</td><td>${escapeHtml(change.after ?? '(not set)')}</td>`;
+        diffBody.appendChild(row);
+    });
+}
+
+function updateRulingDecisions() {
+    const [subjectKind] = rulingSubjectSelect.value.split(':');
+    const decisions = RULING_DECISIONS[subjectKind] || [];
+    rulingDecisionSelect.innerHTML = decisions.length === 0 ? '<option value="">Select a subject first</option>' : '';
+    decisions.forEach(decision => {
+        const option = document.createElement('option');
+        option.value = decision;
+        option.textContent = decision;
+        rulingDecisionSelect.appendChild(option);
+    });
+}
+
+async function updateIntegrityBanner() {
+    herbChain.integrity = await herbChain.validateChain();
+    showRegulatorChainStatus();
+    const { valid, index, message } = herbChain.integrity;
+    const badSignatures = herbChain.signatureChecks.invalid;
+    chainIntegrityBanner.className = `status-message ${valid && badSignatures.length === 0 ? 'success' : 'error'}`;
+    if (valid) {
+        chainIntegrityBanner.textContent = `✅ Ledger integrity verified. ${message}`;
+        if (badSignatures.length > 0) {
+            chainIntegrityBanner.textContent += ` 🚨 Signature check on load failed for block(s) ${badSignatures.join(', ')}.`;
+        }
+        showStateMismatches(chainIntegrityBanner);
+        return;
+    }
+    chainIntegrityBanner.innerHTML = `🚨 <strong>Ledger integrity broken!</strong> ${escapeHtml(message)}${index >= 0 ? ` <a href="#ledger-row-${index}">Go to block ${index}</a>` : ''}`;
+    showStateMismatches(chainIntegrityBanner);
+    const brokenRow = document.getElementById(`ledger-row-${index}`);
+    if (brokenRow) brokenRow.classList.add('tampered-row');
+}
+
+// A check that could not run at all, say on a block whose key will not import, is shown as a failed check rather than lost.
+function showIntegrityCheckFailure(error) {
+    herbChain.integrity = { valid: false, index: -1, message: `The ledger could not be checked: ${error.message || error}` };
+    showRegulatorChainStatus();
+    chainIntegrityBanner.className = 'status-message error';
+    chainIntegrityBanner.textContent = `🚨 ${herbChain.integrity.message}`;
 }
 
 function updateLedger() {
+    updateIntegrityBanner().catch(showIntegrityCheckFailure);
     if (herbChain.chain.length <= 1) {
-        ledgerBody.innerHTML = '<tr><td colspan="6" style="text-align: center; color: var(--accent-color);">No transactions yet.</td></tr>';
+        ledgerBody.innerHTML = '<tr><td colspan="7" style="text-align: center; color: var(--accent-color);">No transactions yet.</td></tr>';
         return;
     }
     ledgerBody.innerHTML = '';
@@ -422,45 +4020,67 @@ function updateLedger() {
         
         if (data.type === 'fraudAlert' || data.type === 'qualityFraudAlert') {
             fraudAlertStatus = `🚨 DISPUTED`;
+        } else if (data.type === 'recallBatch') {
+            fraudAlertStatus = `🚨 RECALL`;
+        } else if (data.type === 'yieldAnomaly') {
+            fraudAlertStatus = data.blocked ? `🚨 YIELD BLOCKED` : `🚨 YIELD ANOMALY`;
         }
         
-        if (data.supplierQuality) qualityMatchStatus = data.supplierQuality.score >= 70 ? `✅ S: ${data.supplierQuality.score}` : `🚨 S: ${data.supplierQuality.score}`;
-        else if (data.manufacturerQuality) qualityMatchStatus = data.manufacturerQuality.score >= 60 ? `✅ M: ${data.manufacturerQuality.score}` : `🚨 M: ${data.manufacturerQuality.score}`;
-        else if (data.qualityScore) qualityMatchStatus = data.qualityScore >= 60 ? `✅ V: ${data.qualityScore}` : `🚨 V: ${data.qualityScore}`;
+        // Judge each record against the thresholds of the policy it was written under.
+        const thresholds = herbChain.getPolicy(data.policyVersion || 1).qualityThresholds;
+        if (data.supplierQuality) qualityMatchStatus = data.supplierQuality.score >= thresholds.supplier ? `✅ S: ${data.supplierQuality.score}` : `🚨 S: ${data.supplierQuality.score}`;
+        else if (data.manufacturerQuality) qualityMatchStatus = data.manufacturerQuality.score >= thresholds.manufacturer ? `✅ M: ${data.manufacturerQuality.score}` : `🚨 M: ${data.manufacturerQuality.score}`;
+        else if (data.qualityScore) qualityMatchStatus = data.qualityScore >= thresholds.manufacturer ? `✅ V: ${data.qualityScore}` : `🚨 V: ${data.qualityScore}`;
 
         let formattedData = '';
         Object.entries(data).forEach(([key, value]) => {
             let displayValue = '';
             if (typeof value === 'object' && value !== null) {
-                if (key === 'usedBatches') {
-                    displayValue = value.map(b => `  - ID: ${b.herbID.substring(0,15)}... (${b.unitsUsed} ${b.unitType})`).join('<br>');
+                if (QUALITY_FIELDS.includes(key)) {
+                    displayValue = escapeHtml(describeQuality(value)) + evidenceButton(value.evidence);
+                } else if (key === 'evidence') {
+                    displayValue = [].concat(value).map(e => escapeHtml(`${e.algorithm}: ${e.digest.substring(0, 16)}...`)).join('<br>') + evidenceButton(value);
+                } else if (key === 'qualityBreakdown') {
+                    displayValue = escapeHtml(describeQuality({ score: data.qualityScore, breakdown: value, inputMode: data.inputMode }));
+                } else if (key === 'usedBatches') {
+                    displayValue = value.map(b => escapeHtml(`  - ID: ${b.herbID.substring(0,15)}... (${formatQuantity(b.unitsUsed, b.unitType, b.enteredUnit || b.unitType)})`)).join('<br>');
                 } else {
-                    displayValue = JSON.stringify(value, null, 2);
+                    displayValue = escapeHtml(JSON.stringify(value, null, 2));
                 }
             } else {
-                displayValue = value;
+                displayValue = escapeHtml(value);
             }
-             formattedData += `<strong>${key}:</strong><br>${displayValue}<br><br>`;
+             formattedData += `<strong>${escapeHtml(key)}:</strong><br>${displayValue}<br><br>`;
         });
 
         const row = document.createElement('tr');
+        row.id = `ledger-row-${herbChain.chain.length - 1 - index}`;
         row.innerHTML = `
             <td>${herbChain.chain.length - 1 - index}</td>
-            <td>${block.previousHash.substring(0, 10)}...</td>
-            <td>${block.hash.substring(0, 10)}...</td>
+            <td>${escapeHtml(block.previousHash.substring(0, 10))}...</td>
+            <td>${escapeHtml(block.hash.substring(0, 10))}...</td>
             <td>
                 <details>
-                    <summary class="data-summary">${data.type}</summary>
+                    <summary class="data-summary">${escapeHtml(data.type)}</summary>
                     <pre style="white-space: pre-wrap; word-wrap: break-word;">${formattedData}</pre>
                 </details>
             </td>
             <td>${fraudAlertStatus}</td>
-            <td>${qualityMatchStatus}</td>
+            <td>${escapeHtml(qualityMatchStatus)}</td>
+            <td class="signature-cell">⏳ Checking...</td>
         `;
         if (fraudAlertStatus.startsWith('🚨')) {
             row.style.backgroundColor = 'var(--error-light)';
             row.style.color = 'var(--error-dark)';
         }
+        if (isRecalledRecord(data)) row.classList.add('recalled-row');
+        herbChain.verifyBlockSignature(block).then(status => {
+            row.querySelector('.signature-cell').textContent = SIGNATURE_LABELS[status];
+            if (status === 'invalid') row.classList.add('tampered-row');
+        }).catch(error => {
+            row.querySelector('.signature-cell').textContent = `🚨 Could not check: ${error.message || error}`;
+            row.classList.add('tampered-row');
+        });
         ledgerBody.appendChild(row);
     });
 }
@@ -468,15 +4088,34 @@ function updateLedger() {
 //---------------------------------------------------------
 // Page Initialization & Tab Switching
 //---------------------------------------------------------
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     document.querySelector('.tab-button[data-tab="collector"]').click();
     const savedTheme = localStorage.getItem('theme');
     if (savedTheme === 'dark') {
         document.documentElement.classList.add('dark-mode');
     }
+    addIngredientRow();
+    updateSpeciesPicker();
+    try {
+        herbChain = new Blockchain(await loadLedger());
+        herbChain.onWritesPending = showWritesPending;
+        recordStateMismatches(herbChain.stateMismatches).catch(showStorageStatus);
+    } catch (e) {
+        alert(`The ledger database could not be opened, so this session starts with an empty ledger that cannot be saved: ${e.message}`);
+    }
+    await herbChain.initialize();
+    ledgerLoaded = true;
     updateAllUI();
 });
 
+if (ledgerChannel) ledgerChannel.addEventListener('message', event => handleLedgerMessage(event.data));
+
+window.addEventListener('storage', event => {
+    if (event.key === LEDGER_HEAD_KEY && event.newValue) handleLedgerMessage(JSON.parse(event.newValue));
+    if (event.key === 'herbalChainScanPolicy') showScanPolicy();
+    if (event.key === 'theme') document.documentElement.classList.toggle('dark-mode', event.newValue === 'dark');
+});
+
 tabs.forEach(button => {
     button.addEventListener('click', () => {
         const tab = button.dataset.tab;
@@ -485,37 +4124,42 @@ tabs.forEach(button => {
         tabContents.forEach(content => content.classList.remove('active'));
         document.getElementById(tab).classList.add('active');
         stopAllCameras();
-        document.querySelectorAll('.status-message').forEach(el => el.innerHTML = '');
+        document.querySelectorAll('.tab-content .status-message').forEach(el => el.innerHTML = '');
         if(tab === 'supplier') updateSupplierForm();
         if(tab === 'manufacturer') updateManufacturerForm();
+        if(tab === 'distribution') updateDistributionForm();
     });
 });
 
 //---------------------------------------------------------
 // Event Listeners for Forms and Buttons
 //---------------------------------------------------------
-addHerbBtn.addEventListener('click', () => {
-    const name = document.getElementById('collector-herb-name').value;
+addHerbBtn.addEventListener('click', async () => {
+    const speciesCode = document.getElementById('collector-herb-species').value;
+    const permitNumber = document.getElementById('collector-permit-number').value;
     const location = document.getElementById('collector-location').value;
     const quantity = parseFloat(document.getElementById('collector-quantity').value);
     const unitType = document.getElementById('collector-unit-select').value;
     const statusDiv = document.getElementById('collector-status');
 
-    if (!name || !location || isNaN(quantity) || quantity <= 0) {
+    if (!speciesCode || !location || isNaN(quantity) || quantity <= 0) {
         statusDiv.textContent = 'Please fill all fields correctly.';
         statusDiv.className = 'status-message error';
         return;
     }
-    if (!collectorQualityData || collectorQualityData.score < 50) {
-        statusDiv.textContent = 'AI Quality Check must be run and must pass (Score >= 50).';
+    const collectorThreshold = herbChain.policy.qualityThresholds.collector;
+    if (!collectorQualityData || collectorQualityData.score < collectorThreshold) {
+        statusDiv.textContent = `AI Quality Check must be run and must pass (Score >= ${collectorThreshold}).`;
         statusDiv.className = 'status-message error';
         return;
     }
-    const result = herbChain.registerHerb('COLLECTOR-001', 'HERB-' + Date.now(), name, location, quantity, unitType, collectorQualityData);
+    const result = await herbChain.registerHerb(getActingParticipant('collector'), 'HERB-' + Date.now(), speciesCode, location, quantity, unitType, collectorQualityData, permitNumber);
     statusDiv.textContent = result.message;
-    statusDiv.className = `status-message ${result.success ? 'success' : 'error'}`;
+    statusDiv.className = `status-message ${result.success ? (result.outOfSeason ? 'warning' : 'success') : 'error'}`;
     if (result.success) {
-        document.getElementById('collector-herb-name').value = '';
+        document.getElementById('collector-species-search').value = '';
+        document.getElementById('collector-permit-number').value = '';
+        updateSpeciesPicker();
         document.getElementById('collector-location').value = '';
         document.getElementById('collector-quantity').value = '';
         document.getElementById('collector-quality-result').textContent = '';
@@ -524,9 +4168,10 @@ addHerbBtn.addEventListener('click', () => {
     updateAllUI();
 });
 
-verifyReceiptBtn.addEventListener('click', () => {
+verifyReceiptBtn.addEventListener('click', async () => {
     const herbID = verifyHerbSelect.value;
     const measuredQuantity = measuredQuantityInput.value;
+    const measuredUnit = measuredUnitSelect.value;
     const statusDiv = document.getElementById('verify-status');
 
     if (!herbID || !measuredQuantity) {
@@ -534,13 +4179,14 @@ verifyReceiptBtn.addEventListener('click', () => {
         statusDiv.className = 'status-message error';
         return;
     }
-    const result = herbChain.verifyHerbReceipt('SUPPLIER-001', herbID, parseFloat(measuredQuantity));
+    const resolution = document.getElementById('receipt-resolution').value;
+    const result = await herbChain.verifyHerbReceipt(getActingParticipant('supplier'), herbID, parseFloat(measuredQuantity), measuredUnit, resolution);
     statusDiv.textContent = result.message;
     statusDiv.className = `status-message ${result.success ? 'success' : 'error'}`;
     updateAllUI();
 });
 
-transferHerbBtn.addEventListener('click', () => {
+transferHerbBtn.addEventListener('click', async () => {
     const herbID = document.getElementById('transfer-herb-id').value;
     const toID = document.getElementById('transfer-to').value;
     const weight = document.getElementById('supplier-weight').value;
@@ -553,12 +4199,13 @@ transferHerbBtn.addEventListener('click', () => {
         statusDiv.className = 'status-message error';
         return;
     }
-    if (!supplierQualityData || supplierQualityData.score < 70) {
-        statusDiv.textContent = 'AI Quality Check must be run and must pass (Score >= 70).';
+    const supplierThreshold = herbChain.policy.qualityThresholds.supplier;
+    if (!supplierQualityData || supplierQualityData.score < supplierThreshold) {
+        statusDiv.textContent = `AI Quality Check must be run and must pass (Score >= ${supplierThreshold}).`;
         statusDiv.className = 'status-message error';
         return;
     }
-    const result = herbChain.transferHerb('SUPPLIER-001', toID, herbID, weight, location, unitType, supplierQualityData);
+    const result = await herbChain.transferHerb(getActingParticipant('supplier'), toID, herbID, weight, location, unitType, supplierQualityData);
     statusDiv.textContent = result.message;
     statusDiv.className = `status-message ${result.success ? 'success' : 'error'}`;
     if (result.success) {
@@ -575,9 +4222,9 @@ transferHerbBtn.addEventListener('click', () => {
 
 addBatchBtn.addEventListener('click', () => {
     const currentBatches = multiBatchInputsContainer.querySelectorAll('.batch-input-group').length;
-    if (currentBatches >= MAX_BATCHES) return;
+    if (currentBatches >= herbChain.policy.maxBatchesPerProduct) return;
 
-    const availableHerbs = Object.entries(herbChain.inventories['MANU-001'] || {})
+    const availableHerbs = Object.entries(herbChain.inventories[getActingParticipant('manufacturer')] || {})
         .filter(([id, data]) => data.quantity > 0);
 
     if (availableHerbs.length === 0) {
@@ -614,7 +4261,7 @@ addBatchBtn.addEventListener('click', () => {
     availableHerbs.forEach(([id, data]) => {
         const option = document.createElement('option');
         option.value = id;
-        option.textContent = `${data.name} (ID: ${id.substring(5, 12)}... )`;
+        option.textContent = `${data.name} (ID: ${shortHerbID(id)} )`;
         selectElement.appendChild(option);
     });
 
@@ -627,9 +4274,9 @@ addBatchBtn.addEventListener('click', () => {
         const verifyBtn = newBatchInputGroup.querySelector('.verify-batch-quality-btn');
         
         if (herbID) {
-            const herbData = herbChain.inventories['MANU-001'][herbID];
-            unitSelect.innerHTML = `<option value="${herbData.unitType}">${herbData.unitType}</option>`;
-            availableLabel.textContent = `(Avail: ${herbData.quantity.toFixed(2)})`;
+            const herbData = herbChain.inventories[getActingParticipant('manufacturer')][herbID];
+            populateUnitSelect(unitSelect, herbData.unitType, getDisplayUnit(herbID));
+            availableLabel.textContent = `(Avail: ${formatQuantity(herbData.quantity, herbData.unitType, unitSelect.value)})`;
             
             if (herbData.status === 'verified_by_manufacturer') {
                 statusSpan.textContent = 'Status: Verified ✔';
@@ -655,6 +4302,14 @@ addBatchBtn.addEventListener('click', () => {
             unitInput.disabled = true;
             availableLabel.textContent = '';
         }
+        unitSelect.disabled = unitInput.disabled;
+    });
+
+    newBatchInputGroup.querySelector('.units-used-select').addEventListener('change', (e) => {
+        const herbData = herbChain.inventories[getActingParticipant('manufacturer')][selectElement.value];
+        if (herbData) {
+            newBatchInputGroup.querySelector('.available-units-label').textContent = `(Avail: ${formatQuantity(herbData.quantity, herbData.unitType, e.target.value)})`;
+        }
     });
 
     newBatchInputGroup.querySelector('.verify-batch-quality-btn').addEventListener('click', () => {
@@ -664,7 +4319,7 @@ addBatchBtn.addEventListener('click', () => {
             return;
         }
         currentBatchToVerify = { id: herbID, statusElementId: uniqueId };
-        alert('Starting camera to verify SUPPLIED batch quality. Please frame the herb sample.');
+        alert('Starting camera to verify SUPPLIED batch quality. Frame the herb sample, or upload photos of it instead.');
         startCamera('manufacturer');
     });
 
@@ -677,8 +4332,39 @@ addBatchBtn.addEventListener('click', () => {
     updateManufacturerForm();
 });
 
-produceMedicineBtn.addEventListener('click', () => {
-    const batchID = document.getElementById('batch-id').value;
+document.getElementById('production-product').addEventListener('change', showProductPackUnit);
+document.getElementById('add-ingredient-btn').addEventListener('click', addIngredientRow);
+document.getElementById('collector-species-search').addEventListener('input', updateSpeciesPicker);
+document.getElementById('collector-herb-species').addEventListener('change', showSpeciesInfo);
+
+document.getElementById('register-formulation-btn').addEventListener('click', async () => {
+    const statusDiv = document.getElementById('formulation-status');
+    const result = await herbChain.registerFormulation(
+        getActingParticipant('manufacturer'),
+        document.getElementById('formulation-product-name').value,
+        parseFloat(document.getElementById('formulation-content').value),
+        document.getElementById('formulation-content-unit').value,
+        document.getElementById('formulation-pack-unit').value,
+        parseFloat(document.getElementById('formulation-tolerance').value),
+        Array.from(document.querySelectorAll('.ingredient-input-group')).map(row => ({
+            speciesCode: row.querySelector('.ingredient-species-select').value,
+            proportionPercent: row.querySelector('.ingredient-proportion-input').value,
+            tolerancePercent: row.querySelector('.ingredient-tolerance-input').value
+        }))
+    );
+    statusDiv.textContent = result.message;
+    statusDiv.className = `status-message ${result.success ? 'success' : 'error'}`;
+    if (result.success) {
+        ['formulation-product-name', 'formulation-content', 'formulation-tolerance'].forEach(id => document.getElementById(id).value = '');
+        document.getElementById('formulation-ingredients').innerHTML = '';
+        addIngredientRow();
+        updateAllUI();
+    }
+});
+
+produceMedicineBtn.addEventListener('click', async () => {
+    const batchID = document.getElementById('batch-id').value.trim();
+    const productID = document.getElementById('production-product').value;
     const location = document.getElementById('manufacturer-location').value;
     const finalWeight = parseFloat(document.getElementById('final-medicine-units').value);
     const finalUnit = document.getElementById('final-medicine-unit-select').value;
@@ -695,7 +4381,7 @@ produceMedicineBtn.addEventListener('click', () => {
         usedBatches.push({ herbID: select.value, unitsUsed: parseFloat(input.value), unitType: unitSelect.value });
     });
 
-    if (!batchID || !location || isNaN(finalWeight) || finalWeight <= 0 || !isValid || usedBatches.length === 0) {
+    if (!batchID || !productID || !location || isNaN(finalWeight) || finalWeight <= 0 || !isValid || usedBatches.length === 0) {
         statusDiv.textContent = 'Please fill all fields, add at least one valid & verified herb batch, and ensure all values are positive.';
         statusDiv.className = 'status-message error';
         return;
@@ -707,22 +4393,23 @@ produceMedicineBtn.addEventListener('click', () => {
         return;
     }
 
-    const result = herbChain.useHerbInMedicine(batchID, 'MANU-001', location, usedBatches, finalWeight, finalUnit, manufacturerQualityData);
+    const result = await herbChain.useHerbInMedicine(batchID, getActingParticipant('manufacturer'), location, usedBatches, finalWeight, finalUnit, manufacturerQualityData, productID);
 
     if (result.success) {
         qrcodeDiv.innerHTML = '';
         qrTitle.style.display = 'block';
-        const qrCodeCount = Math.floor(finalWeight);
-        generatedQrCount.textContent = `Generating ${qrCodeCount} QR codes...`;
+        const qrCodeCount = result.serials.issuedCount;
+        const manufacturerID = getActingParticipant('manufacturer');
+        generatedQrCount.textContent = `Generating ${qrCodeCount} signed QR codes...`;
 
         for (let i = 1; i <= qrCodeCount; i++) {
-            const qrData = JSON.stringify({
+            const qrData = JSON.stringify(await herbChain.signQrPayload(manufacturerID, {
                 batchID: batchID,
-                unitID: `${batchID}-${String(i).padStart(4, '0')}`,
+                unitID: formatSerial(batchID, i, result.serials.serialWidth),
                 type: 'medicine',
                 sourceHerbs: usedBatches.map(b => b.herbID),
                 producedOn: new Date().toISOString().split('T')[0]
-            });
+            }));
             
             const qrContainer = document.createElement('div');
             qrContainer.className = 'qr-code-item';
@@ -746,8 +4433,8 @@ produceMedicineBtn.addEventListener('click', () => {
         }
 
         statusDiv.textContent = result.message;
-        statusDiv.className = 'status-message success';
-        generatedQrCount.textContent = `Successfully generated ${qrCodeCount} unique QR codes.`;
+        statusDiv.className = `status-message ${result.yieldAnomaly ? 'warning' : 'success'}`;
+        generatedQrCount.textContent = `Successfully generated ${qrCodeCount} unique QR codes, each signed by ${getParticipantName(manufacturerID)}.`;
         
         multiBatchInputsContainer.innerHTML = ''; 
         document.getElementById('batch-id').value = '';
@@ -764,25 +4451,257 @@ produceMedicineBtn.addEventListener('click', () => {
     }
 });
 
+registerParticipantBtn.addEventListener('click', async () => {
+    const role = document.getElementById('participant-role').value;
+    const legalName = document.getElementById('participant-legal-name').value.trim();
+    const licenceNumber = document.getElementById('participant-licence').value.trim();
+    const region = document.getElementById('participant-region').value.trim();
+    const pin = document.getElementById('participant-pin').value;
+    const statusDiv = document.getElementById('admin-status');
+
+    if (!role || !legalName || !licenceNumber || !region) {
+        statusDiv.textContent = 'Please fill all participant fields.';
+        statusDiv.className = 'status-message error';
+        return;
+    }
+    if (pin.length < MIN_PIN_LENGTH) {
+        statusDiv.textContent = `Initial PIN must be at least ${MIN_PIN_LENGTH} characters.`;
+        statusDiv.className = 'status-message error';
+        return;
+    }
+    const participantID = herbChain.nextParticipantID(role);
+    const result = await herbChain.registerParticipant(getActingParticipant('admin'), participantID, role, legalName, licenceNumber, region);
+    statusDiv.textContent = result.message;
+    statusDiv.className = `status-message ${result.success ? 'success' : 'error'}`;
+    if (result.success) {
+        await setParticipantPin(participantID, pin);
+        document.getElementById('participant-pin').value = '';
+        document.getElementById('participant-legal-name').value = '';
+        document.getElementById('participant-licence').value = '';
+        document.getElementById('participant-region').value = '';
+    }
+    updateAllUI();
+});
+
+setPinBtn.addEventListener('click', async () => {
+    const participantID = document.getElementById('pin-participant').value;
+    const pin = document.getElementById('pin-new').value;
+    const statusDiv = document.getElementById('pin-status');
+
+    if (!herbChain.participants[getActingParticipant('admin')]) {
+        statusDiv.textContent = 'Sign in as an Administrator to set PINs.';
+        statusDiv.className = 'status-message error';
+        return;
+    }
+    if (!herbChain.participants[participantID] || pin.length < MIN_PIN_LENGTH) {
+        statusDiv.textContent = `Select a participant and enter a PIN of at least ${MIN_PIN_LENGTH} characters.`;
+        statusDiv.className = 'status-message error';
+        return;
+    }
+    await setParticipantPin(participantID, pin);
+    document.getElementById('pin-new').value = '';
+    statusDiv.textContent = `PIN set for ${getParticipantName(participantID)}. Share it with the participant.`;
+    statusDiv.className = 'status-message success';
+    updateAllUI();
+});
+
+rotateKeyBtn.addEventListener('click', async () => {
+    const participantID = rotateParticipantSelect.value;
+    const statusDiv = document.getElementById('rotate-status');
+    if (!participantID) {
+        statusDiv.textContent = 'Select the participant whose key should be replaced.';
+        statusDiv.className = 'status-message error';
+        return;
+    }
+    const result = await herbChain.rotateParticipantKey(getActingParticipant('admin'), participantID);
+    statusDiv.textContent = result.message;
+    statusDiv.className = `status-message ${result.success ? 'success' : 'error'}`;
+    updateAllUI();
+});
+
+// Returns the passphrase, or null after saying what is missing.
+function keyringPassphrase(statusDiv) {
+    const passphrase = document.getElementById('keyring-passphrase').value;
+    if (!herbChain.participants[getActingParticipant('admin')]) {
+        statusDiv.textContent = 'Sign in as an Administrator to back up or restore signing keys.';
+    } else if (passphrase.length < MIN_KEYRING_PASSPHRASE_LENGTH) {
+        statusDiv.textContent = `Enter a passphrase of at least ${MIN_KEYRING_PASSPHRASE_LENGTH} characters.`;
+    } else {
+        return passphrase;
+    }
+    statusDiv.className = 'status-message error';
+    return null;
+}
+
+document.getElementById('export-keyring-btn').addEventListener('click', async () => {
+    const statusDiv = document.getElementById('keyring-status');
+    const passphrase = keyringPassphrase(statusDiv);
+    if (!passphrase) return;
+    const bundle = await encryptKeyring(loadKeyring(), passphrase);
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' }));
+    link.download = `herbalchain-keys-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+    document.getElementById('keyring-passphrase').value = '';
+    statusDiv.textContent = 'Signing keys exported. Keep the file and its passphrase apart; together they let anyone sign as these participants.';
+    statusDiv.className = 'status-message success';
+});
+
+document.getElementById('import-keyring-input').addEventListener('change', async (event) => {
+    const file = event.target.files[0];
+    const statusDiv = document.getElementById('keyring-status');
+    const passphrase = file && keyringPassphrase(statusDiv);
+    event.target.value = '';
+    if (!passphrase) return;
+    try {
+        const held = await restoreKeyring(await decryptKeyring(JSON.parse(await file.text()), passphrase), herbChain);
+        statusDiv.textContent = `Signing keys restored. This browser holds the registered keys of ${held.length} of ${Object.keys(herbChain.participants).length} participants.`;
+        statusDiv.className = 'status-message success';
+    } catch (e) {
+        statusDiv.textContent = `${file.name} could not be restored: ${e.message}`;
+        statusDiv.className = 'status-message error';
+    }
+    document.getElementById('keyring-passphrase').value = '';
+    updateAllUI();
+});
+
+signInBtn.addEventListener('click', async () => {
+    const participantID = signInParticipantSelect.value;
+    const pin = signInPinInput.value;
+    if (!participantID || pin.length < MIN_PIN_LENGTH) {
+        sessionStatus.textContent = `Select a participant and enter a PIN of at least ${MIN_PIN_LENGTH} characters.`;
+        sessionStatus.className = 'status-message error';
+        return;
+    }
+    let message = 'Signed in successfully.';
+    if (isAdminBootstrap(participantID)) {
+        await setParticipantPin(participantID, pin);
+        message = 'Administrator PIN created and signed in. Set PINs for the other participants in the Participant Registry before they sign in.';
+    } else if (!hasParticipantPin(participantID)) {
+        sessionStatus.textContent = `No PIN has been set for ${getParticipantName(participantID)} on this device. Ask an administrator to set one.`;
+        sessionStatus.className = 'status-message error';
+        return;
+    } else if (!await checkParticipantPin(participantID, pin)) {
+        sessionStatus.textContent = 'Incorrect PIN.';
+        sessionStatus.className = 'status-message error';
+        return;
+    }
+    currentSessionID = participantID;
+    sessionStorage.setItem('herbalChainSession', participantID);
+    signInPinInput.value = '';
+    sessionStatus.textContent = message;
+    sessionStatus.className = 'status-message success';
+    multiBatchInputsContainer.innerHTML = '';
+    updateAllUI();
+    const role = herbChain.participants[participantID].role;
+    const ownTab = document.querySelector(`.tab-button[data-tab="${Object.keys(ROLE_TABS).find(tab => ROLE_TABS[tab].includes(role))}"]`);
+    if (ownTab) ownTab.click();
+});
+
+signOutBtn.addEventListener('click', () => {
+    currentSessionID = null;
+    sessionStorage.removeItem('herbalChainSession');
+    stopAllCameras();
+    multiBatchInputsContainer.innerHTML = '';
+    sessionStatus.textContent = 'Signed out.';
+    sessionStatus.className = 'status-message warning';
+    updateAllUI();
+});
+
+// Shows the shortfall the batch may have before it counts as a discrepancy, in the unit being measured.
+function updateReceiptTolerance() {
+    const master = herbChain.metadata[verifyHerbSelect.value];
+    if (!master) {
+        receiptToleranceSpan.textContent = '';
+        return;
+    }
+    const { name, quantity, unitType } = master.history[0];
+    const { tolerance, percent, moistureAllowance, minimum } = receiptTolerance(herbChain.policy, master, quantity, unitType, 0);
+    const parts = [`${percent - moistureAllowance}% for ${unitType}`];
+    if (moistureAllowance > 0) parts.push(`+${moistureAllowance}% moisture loss for ${name}`);
+    if (minimum > 0 && tolerance === minimum) parts.push(`minimum ${minimum} ${unitType}`);
+    receiptToleranceSpan.textContent = `(Allowed shortfall: ${formatQuantity(tolerance, unitType, measuredUnitSelect.value)}; ${parts.join(', ')})`;
+}
+
 verifyHerbSelect.addEventListener('change', (e) => {
     const selectedHerbId = e.target.value;
     if (selectedHerbId && herbChain.metadata[selectedHerbId]) {
         const herbData = herbChain.metadata[selectedHerbId].history[0];
-        measuredUnitSelect.value = herbData.unitType;
+        populateUnitSelect(measuredUnitSelect, herbData.unitType, herbData.enteredUnit || herbData.unitType);
     }
+    updateReceiptTolerance();
 });
 
+measuredUnitSelect.addEventListener('change', updateReceiptTolerance);
+
 transferHerbSelect.addEventListener('change', (e) => {
     const selectedHerbId = e.target.value;
     if (selectedHerbId) {
-        const herbData = herbChain.inventories['SUPPLIER-001'][selectedHerbId];
-        availableUnitsSupplierSpan.textContent = `(Available: ${herbData.quantity.toFixed(2)} ${herbData.unitType})`;
-        document.getElementById('supplier-unit-select').value = herbData.unitType;
+        const herbData = herbChain.inventories[getActingParticipant('supplier')][selectedHerbId];
+        const supplierUnitSelect = document.getElementById('supplier-unit-select');
+        populateUnitSelect(supplierUnitSelect, herbData.unitType, getDisplayUnit(selectedHerbId));
+        availableUnitsSupplierSpan.textContent = `(Available: ${formatQuantity(herbData.quantity, herbData.unitType, supplierUnitSelect.value)})`;
     } else {
         availableUnitsSupplierSpan.textContent = '';
     }
 });
 
+function updateSplitUnits() {
+    const herbID = document.getElementById('split-herb-id').value;
+    const herbData = (herbChain.inventories[getActingParticipant('supplier')] || {})[herbID];
+    const unitSelect = document.getElementById('split-unit-select');
+    if (!herbData) {
+        unitSelect.innerHTML = '';
+        document.getElementById('split-available').textContent = '';
+        return;
+    }
+    if (!compatibleUnits(herbData.unitType).includes(unitSelect.value)) {
+        populateUnitSelect(unitSelect, herbData.unitType, getDisplayUnit(herbID));
+    }
+    document.getElementById('split-available').textContent = `(Held: ${formatQuantity(herbData.quantity, herbData.unitType, unitSelect.value)})`;
+}
+
+document.getElementById('split-herb-id').addEventListener('change', () => {
+    document.getElementById('split-unit-select').innerHTML = '';
+    updateSplitUnits();
+});
+document.getElementById('split-unit-select').addEventListener('change', updateSplitUnits);
+
+document.getElementById('split-lot-btn').addEventListener('click', async () => {
+    const statusDiv = document.getElementById('split-status');
+    const herbID = document.getElementById('split-herb-id').value;
+    const portions = document.getElementById('split-portions').value.split(',').map(portion => portion.trim()).filter(Boolean).map(parseFloat);
+    if (!herbID || portions.length === 0) {
+        statusDiv.textContent = 'Please select a lot and enter the quantity of each child lot.';
+        statusDiv.className = 'status-message error';
+        return;
+    }
+    const result = await herbChain.splitLot(getActingParticipant('supplier'), herbID, portions, document.getElementById('split-unit-select').value);
+    statusDiv.textContent = result.message;
+    statusDiv.className = `status-message ${result.success ? 'success' : 'error'}`;
+    if (result.success) {
+        document.getElementById('split-portions').value = '';
+        updateAllUI();
+    }
+});
+
+document.getElementById('merge-lot-btn').addEventListener('click', async () => {
+    const statusDiv = document.getElementById('merge-status');
+    const herbIDs = [...document.getElementById('merge-herb-ids').selectedOptions].map(option => option.value);
+    const result = await herbChain.mergeLot(getActingParticipant('supplier'), 'HERB-' + Date.now(), herbIDs, herbIDs.length > 0 ? getDisplayUnit(herbIDs[0]) : undefined);
+    statusDiv.textContent = result.message;
+    statusDiv.className = `status-message ${result.success ? 'success' : 'error'}`;
+    if (result.success) updateAllUI();
+});
+
+document.getElementById('supplier-unit-select').addEventListener('change', (e) => {
+    const herbData = herbChain.inventories[getActingParticipant('supplier')][transferHerbSelect.value];
+    if (herbData) {
+        availableUnitsSupplierSpan.textContent = `(Available: ${formatQuantity(herbData.quantity, herbData.unitType, e.target.value)})`;
+    }
+});
+
 //---------------------------------------------------------
 // Helper/Utility Functions
 //---------------------------------------------------------
@@ -853,52 +4772,134 @@ function takeSnapshotAndCheck(role) {
     canvas.height = video.videoHeight;
     const context = canvas.getContext('2d');
     context.drawImage(video, 0, 0, canvas.width, canvas.height);
-    const imageData = context.getImageData(0, 0, canvas.width, canvas.height).data;
+    const imageData = context.getImageData(0, 0, canvas.width, canvas.height);
     
     statusDiv.textContent = 'Analyzing snapshot...';
     statusDiv.className = 'status-message warning';
 
-    setTimeout(() => {
-        const qualityScore = Array.from(imageData).reduce((acc, val) => acc + val, 0) % 51 + 50;
-        const qualityData = { score: qualityScore };
-        const thresholds = { collector: 50, supplier: 70, manufacturer: 60 };
+    setTimeout(async () => {
+        const qualityData = analyzeHerbImage(imageData);
+        try {
+            qualityData.evidence = await captureEvidence(canvas);
+        } catch (err) {
+            statusDiv.textContent = `The snapshot could not be stored as evidence, so the check was not recorded: ${err.message || err}`;
+            statusDiv.className = 'status-message error';
+            return;
+        }
+        qualityData.inputMode = 'camera';
+        qualityData.imageCount = 1;
+        await applyQualityResult(role, qualityData);
+    }, 1000);
+}
 
-        if (role === 'manufacturer' && currentBatchToVerify) {
-            const result = herbChain.verifySuppliedBatch('MANU-001', currentBatchToVerify.id, qualityData);
-            const batchStatusEl = document.getElementById(currentBatchToVerify.statusElementId);
-            const unitInput = batchStatusEl.closest('.batch-input-group').querySelector('.units-used-input');
-            const verifyBtn = batchStatusEl.closest('.batch-input-group').querySelector('.verify-batch-quality-btn');
-            
-            if (result.success) {
-                batchStatusEl.textContent = 'Status: Verified ✔';
-                batchStatusEl.className = 'batch-verification-status verified';
-                unitInput.disabled = false;
-                verifyBtn.disabled = true;
-                verifyBtn.classList.add('disabled');
-            } else {
-                batchStatusEl.textContent = 'Status: Disputed ❌';
-                batchStatusEl.className = 'batch-verification-status failed';
-                unitInput.disabled = true;
-                verifyBtn.disabled = true;
-                verifyBtn.classList.add('disabled');
-            }
-            alert(result.message);
-            stopCamera('manufacturer');
-            currentBatchToVerify = null;
-            updateAllUI();
+// Draws an uploaded image onto the canvas, scaled down to at most MAX_UPLOAD_DIMENSION on its longer side.
+async function drawImageFile(file, canvas) {
+    const bitmap = await createImageBitmap(file);
+    const scale = Math.min(1, MAX_UPLOAD_DIMENSION / Math.max(bitmap.width, bitmap.height));
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    const context = canvas.getContext('2d');
+    context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    return context;
+}
+
+// Uploaded photos go through the same analyser; several photos are averaged into one result.
+async function checkUploadedImages(role, files) {
+    const canvas = document.getElementById(`${role}-canvas`);
+    const statusDiv = document.getElementById(`${role}-quality-result`);
+    const images = Array.from(files).filter(file => file.type.startsWith('image/'));
+    if (images.length === 0) {
+        statusDiv.textContent = 'Please choose one or more image files.';
+        statusDiv.className = 'status-message error';
+        return;
+    }
+    statusDiv.textContent = `Analyzing ${images.length} uploaded image(s)...`;
+    statusDiv.className = 'status-message warning';
+
+    const results = [];
+    for (const file of images) {
+        try {
+            const context = await drawImageFile(file, canvas);
+            const result = analyzeHerbImage(context.getImageData(0, 0, canvas.width, canvas.height));
+            result.evidence = await captureEvidence(canvas);
+            results.push(result);
+        } catch (err) {
+            statusDiv.textContent = `Could not read or store ${file.name}: ${err.message || err}`;
+            statusDiv.className = 'status-message error';
+            return;
+        }
+    }
+    const qualityData = combineQualityResults(results);
+    qualityData.inputMode = 'upload';
+    qualityData.imageCount = results.length;
+    await applyQualityResult(role, qualityData);
+}
+
+// Shared by camera and upload checks: either verifies the manufacturer's pending batch or stores the role's result.
+async function applyQualityResult(role, qualityData) {
+    const statusDiv = document.getElementById(`${role}-quality-result`);
+    const qualityScore = qualityData.score;
+    const threshold = herbChain.policy.qualityThresholds[role];
+
+    if (role === 'manufacturer' && currentBatchToVerify) {
+        const result = await herbChain.verifySuppliedBatch(getActingParticipant('manufacturer'), currentBatchToVerify.id, qualityData);
+        const batchStatusEl = document.getElementById(currentBatchToVerify.statusElementId);
+        const unitInput = batchStatusEl.closest('.batch-input-group').querySelector('.units-used-input');
+        const unitSelect = batchStatusEl.closest('.batch-input-group').querySelector('.units-used-select');
+        const verifyBtn = batchStatusEl.closest('.batch-input-group').querySelector('.verify-batch-quality-btn');
+        
+        if (result.success) {
+            batchStatusEl.textContent = 'Status: Verified ✔';
+            batchStatusEl.className = 'batch-verification-status verified';
+            unitInput.disabled = false;
+            unitSelect.disabled = false;
+            verifyBtn.disabled = true;
+            verifyBtn.classList.add('disabled');
         } else {
-            let statusText = "Passed";
-            if (qualityScore < thresholds[role]) {
-                statusText = `Check Failed! Score is below ${thresholds[role]}.`;
-            }
-            qualityData.status = statusText;
-            statusDiv.textContent = `AI analysis complete! Quality Score: ${qualityScore}/100. Status: ${statusText}`;
-            statusDiv.className = `status-message ${qualityScore < thresholds[role] ? 'error' : 'success'}`;
-            if(role === 'collector') collectorQualityData = qualityData;
-            if(role === 'supplier') supplierQualityData = qualityData;
-            if(role === 'manufacturer') manufacturerQualityData = qualityData;
+            batchStatusEl.textContent = 'Status: Disputed ❌';
+            batchStatusEl.className = 'batch-verification-status failed';
+            unitInput.disabled = true;
+            verifyBtn.disabled = true;
+            verifyBtn.classList.add('disabled');
         }
-    }, 1000);
+        statusDiv.textContent = '';
+        alert(`${result.message}\n${describeQuality(qualityData)}`);
+        stopCamera('manufacturer');
+        currentBatchToVerify = null;
+        updateAllUI();
+    } else {
+        let statusText = "Passed";
+        if (qualityScore < threshold) {
+            statusText = `Check Failed! Score is below ${threshold}.`;
+        }
+        qualityData.status = statusText;
+        statusDiv.textContent = `AI analysis complete! ${describeQuality(qualityData)}. Status: ${statusText}`;
+        statusDiv.className = `status-message ${qualityScore < threshold ? 'error' : 'success'}`;
+        if(role === 'collector') collectorQualityData = qualityData;
+        if(role === 'supplier') supplierQualityData = qualityData;
+        if(role === 'manufacturer') manufacturerQualityData = qualityData;
+    }
+}
+
+async function openEvidence(digest) {
+    const image = document.getElementById('evidence-image');
+    const status = document.getElementById('evidence-status');
+    document.getElementById('evidence-digest').textContent = `On-chain ${HASH_ALGORITHM}: ${digest}`;
+    evidenceModal.classList.remove('hidden');
+    const dataUrl = await loadEvidence(digest);
+    if (!dataUrl) {
+        image.style.display = 'none';
+        status.textContent = 'The evidence image is not stored on this device.';
+        status.className = 'status-message warning';
+        return;
+    }
+    image.src = dataUrl;
+    image.style.display = 'block';
+    const matches = await digestDataUrl(dataUrl) === digest;
+    status.textContent = matches
+        ? '✅ Image matches the hash recorded on the blockchain.'
+        : '🚨 Image does NOT match the hash on the blockchain. The stored evidence has been altered.';
+    status.className = `status-message ${matches ? 'success' : 'error'}`;
 }
 
 function getGeoLocation(role) {
@@ -930,6 +4931,10 @@ function getGeoLocation(role) {
     document.getElementById(`start-${role}-camera-btn`).addEventListener('click', () => startCamera(role));
     document.getElementById(`check-${role}-quality-btn`).addEventListener('click', () => takeSnapshotAndCheck(role));
     document.getElementById(`stop-${role}-camera-btn`).addEventListener('click', () => stopCamera(role));
+    document.getElementById(`${role}-quality-upload`).addEventListener('change', async (e) => {
+        await checkUploadedImages(role, e.target.files);
+        e.target.value = '';
+    });
 });
 
 function onScanSuccess(decodedText) {
@@ -963,11 +4968,11 @@ function handleQrImageUpload(event) {
     traceContent.innerHTML = '<p class="status-message warning">Scanning image...</p>';
     html5QrCode.scanFile(file, true)
         .then(decodedText => processQrData(decodedText))
-        .catch(err => traceContent.innerHTML = `<p class="status-message error">Error scanning image: ${err}.</p>`)
+        .catch(err => traceContent.innerHTML = `<p class="status-message error">Error scanning image: ${escapeHtml(err)}.</p>`)
         .finally(() => { qrImageInput.value = ''; });
 }
 
-function processQrData(qrDataString) {
+async function processQrData(qrDataString) {
     let qrData;
     traceResultDiv.classList.remove('hidden');
     try {
@@ -976,60 +4981,166 @@ function processQrData(qrDataString) {
         traceContent.innerHTML = `<p class="status-message error">Invalid QR Code Data.</p>`;
         return;
     }
-    if (qrData.unitID) {
-        if (herbChain.qrScanLog[qrData.unitID]) {
-            const firstScanTime = new Date(herbChain.qrScanLog[qrData.unitID].firstScanTimestamp).toLocaleString();
-            traceContent.innerHTML = `
-                <div class="qr-scan-warning">
-                    <strong>⚠️ Warning: QR Code Already Scanned!</strong>
-                    <p>This QR code was first scanned on: <strong>${firstScanTime}</strong></p>
-                    <p>This product may be counterfeit.</p>
-                </div>`;
-            return;
-        } else {
-            herbChain.qrScanLog[qrData.unitID] = { firstScanTimestamp: Date.now() };
-            saveData();
-        }
+    if (!(qrData.type === 'medicine' && qrData.batchID && qrData.sourceHerbs)) {
+        traceContent.innerHTML = '<p class="status-message error">Invalid QR Code. Not a valid medicine QR code.</p>';
+        return;
     }
 
-    if (qrData.type === 'medicine' && qrData.batchID && qrData.sourceHerbs) {
-        let html = `<h4>Medicine Batch Details</h4>
-                    <p><strong>Batch ID:</strong> ${qrData.batchID}</p>
-                    <p><strong>Unit ID:</strong> ${qrData.unitID}</p>
-                    <p><strong>Produced On:</strong> ${qrData.producedOn}</p>`;
+    const verdict = await herbChain.verifyQrPayload(qrData);
+    if (!verdict.authentic) {
+        traceContent.innerHTML = `
+            <div class="qr-verdict forged">
+                <strong>🚫 FORGED — Do not use this product</strong>
+                <ul>${verdict.reasons.map(reason => `<li>${escapeHtml(reason)}</li>`).join('')}</ul>
+            </div>`;
+        return;
+    }
+    const verdictHtml = `
+        <div class="qr-verdict authentic">
+            <strong>✅ AUTHENTIC</strong>
+            <p>Signed by ${escapeHtml(verdict.manufacturer.legalName)} (${escapeHtml(verdict.manufacturer.participantID)}) and matches production batch ${escapeHtml(qrData.batchID)} on the blockchain.</p>
+        </div>`;
 
-        const useBlock = herbChain.chain.find(block => block.data.batchID === qrData.batchID && block.data.type === 'useHerb');
-        if(useBlock) html += `<p><strong>Production Location:</strong> ${useBlock.data.location || 'N/A'}</p>`;
-        
-        html += '<h4>Source Herb Batches:</h4>';
-        qrData.sourceHerbs.forEach(herbId => {
-            const herbMaster = herbChain.metadata[herbId];
-            if (herbMaster) {
-                html += `<div class="history-item">
-                            <p><strong>Herb Name:</strong> ${herbMaster.name}</p>
-                            <p><strong>Herb ID:</strong> ${herbId}</p><hr>`;
-                herbMaster.history.forEach(rec => {
-                    html += `<p><strong>Action:</strong> ${rec.type}<br>
-                                <strong>Timestamp:</strong> ${new Date(rec.timestamp).toLocaleString()}<br>
-                                <strong>Location:</strong> ${rec.location || 'N/A'}</p>`;
-                });
-                html += `</div>`;
-            }
+    const location = document.getElementById('scan-location').value.trim();
+    const scans = herbChain.recordScan(qrData.unitID, {
+        timestamp: Date.now(),
+        role: document.getElementById('scanner-role').value || 'consumer',
+        location,
+        coords: parseCoordinates(location)
+    });
+    saveScanLog(qrData.unitID).catch(showStorageStatus);
+    const assessment = assessScanRisk(scans, loadScanPolicy());
+
+    let html = verdictHtml;
+    const recalls = herbChain.getRecallsForMedicine(qrData.batchID);
+    if (recalls.length > 0) {
+        html = `<div class="recall-banner">${recallBannerHtml(recalls)}</div>` + html;
+    }
+    const custody = herbChain.getUnitCustody(qrData.batchID, qrData.unitID);
+    const lastShipment = custody.shipments[custody.shipments.length - 1];
+    const custodians = custody.inTransit ? [lastShipment.fromID, lastShipment.toID] : [custody.custodianID];
+    const regions = custodians.map(id => herbChain.participants[id]).filter(Boolean).map(p => p.region);
+    if (custody.missing) {
+        html += `
+            <div class="qr-scan-warning">
+                <strong>⚠️ Reported missing in transit</strong>
+                <p>${escapeHtml(getParticipantName(lastShipment.toID))} did not receive this unit in shipment ${escapeHtml(lastShipment.shipmentID)}. It should not be on sale.</p>
+            </div>`;
+    }
+    const regionChecks = regions.map(region => checkScanRegion(location, region));
+    if (regionChecks.length > 0 && regionChecks.every(check => check === 'outside')) {
+        const holder = escapeHtml(custody.inTransit
+            ? `${getParticipantName(lastShipment.fromID)} (in transit to ${getParticipantName(lastShipment.toID)})`
+            : getParticipantName(custody.custodianID));
+        html += `
+            <div class="qr-scan-warning">
+                <strong>⚠️ Scanned outside the custodian's region</strong>
+                <p>This unit was scanned at ${escapeHtml(location)}, but the chain places it with ${holder} in ${escapeHtml(regions.join(' / '))}. It may have been diverted from its supply route.</p>
+            </div>`;
+    }
+    if (location && regionChecks.includes('unchecked') && !regionChecks.includes('inside')) {
+        html += `<p><em>The scan location (${escapeHtml(location)}) could not be placed on the map, so it was not checked against the custodian's region (${escapeHtml(regions.join(' / '))}).</em></p>`;
+    }
+    if (assessment.suspicious) {
+        html += `
+            <div class="qr-scan-warning">
+                <strong>⚠️ Unusual scan pattern — risk score ${assessment.risk}/100</strong>
+                <ul>${assessment.reasons.map(reason => `<li>${escapeHtml(reason)}</li>`).join('')}</ul>
+                <p>This code may have been copied. Check the packaging and buy only from a licensed pharmacy.</p>
+            </div>`;
+    }
+    html += `<details class="scan-history">
+                <summary>Scan history (${scans.length} scan${scans.length === 1 ? '' : 's'}, risk ${assessment.risk}/100)</summary>
+                <ul>${scans.map(scan => `<li>${new Date(scan.timestamp).toLocaleString()} — ${escapeHtml(SCANNER_ROLES[scan.role]?.label || scan.role)}${scan.location ? ` at ${escapeHtml(scan.location)}` : ''}</li>`).join('')}</ul>
+            </details>`;
+
+    html += `<h4>Medicine Batch Details</h4>
+                <p><strong>Batch ID:</strong> ${escapeHtml(qrData.batchID)}</p>
+                <p><strong>Unit ID:</strong> ${escapeHtml(qrData.unitID)}</p>
+                <p><strong>Produced On:</strong> ${escapeHtml(qrData.producedOn)}</p>`;
+
+    const useBlock = verdict.useBlock;
+    if(useBlock) html += `<p><strong>Production Location:</strong> ${escapeHtml(useBlock.data.location || 'N/A')}</p>`;
+    const formulation = useBlock && herbChain.getFormulation(useBlock.data.productID, useBlock.data.formulationVersion);
+    if (formulation) {
+        html += `<p><strong>Product:</strong> ${escapeHtml(formulation.productName)} (${escapeHtml(formulation.productID)}, formulation version ${escapeHtml(formulation.version)})</p>`;
+        if (useBlock.data.composition) html += `<p><strong>Composition:</strong> ${escapeHtml(describeComposition(useBlock.data.composition))}</p>`;
+    }
+    const serials = herbChain.serialRegistry[qrData.batchID];
+    if (serials) html += `<p><strong>Serials Issued:</strong> ${escapeHtml(`${serials.issuedCount} (${serials.firstSerial} to ${serials.lastSerial})`)}</p>`;
+
+    html += '<h4>Custody After Production</h4>';
+    if (custody.shipments.length === 0) {
+        html += `<p>This unit has not left ${escapeHtml(getParticipantName(custody.custodianID))} on record.</p>`;
+    } else {
+        html += '<ol class="custody-chain">';
+        custody.shipments.forEach(shipment => {
+            const to = herbChain.participants[shipment.toID];
+            html += `<li${shipment.status === 'discrepancy' ? ' class="custody-discrepancy"' : ''}><strong>${escapeHtml(shipment.shipmentID)}:</strong> ${escapeHtml(getParticipantName(shipment.fromID))} → ${escapeHtml(to ? `${to.legalName} (${PARTICIPANT_ROLES[to.role].label}, ${to.region})` : shipment.toID)}<br>
+                        Shipped ${new Date(shipment.timestamp).toLocaleString()} — ${escapeHtml(describeShipmentUnits(shipment))}<br>
+                        ${escapeHtml(shipmentStatusText(shipment))}</li>`;
         });
-        traceContent.innerHTML = html;
+        html += '</ol>';
+    }
+    const custodyShipmentIDs = custody.shipments.map(shipment => shipment.shipmentID);
+    const lots = [...new Set(qrData.sourceHerbs.flatMap(herbID => herbChain.getLotAncestry(herbID)))];
+
+    const traceBlocks = herbChain.chain.filter(block =>
+        (['useHerb', 'issueSerials'].includes(block.data.type) && block.data.batchID === qrData.batchID) || lots.includes(block.data.herbID) ||
+        (['shipMedicine', 'receiveMedicine'].includes(block.data.type) && custodyShipmentIDs.includes(block.data.shipmentID)));
+    const signatures = await herbChain.verifySignatures(traceBlocks);
+    if (signatures.invalid.length > 0) {
+        html += `<p class="status-message error">🚨 ${signatures.invalid.length} record(s) in this trace carry an invalid signature (blocks ${escapeHtml(signatures.invalid.join(', '))}). Do not trust this history.</p>`;
+    } else if (signatures.unsigned.length > 0) {
+        html += `<p class="status-message warning">⚠️ ${signatures.unsigned.length} record(s) in this trace were written before participant signatures and cannot be attributed.</p>`;
     } else {
-        traceContent.innerHTML = '<p class="status-message error">Invalid QR Code. Not a valid medicine QR code.</p>';
+        html += `<p class="status-message success">🔏 All ${signatures.valid} records in this trace are signed by the participants who wrote them.</p>`;
+    }
+
+    const collectors = lots.flatMap(herbID => herbChain.getOriginalCollectors(herbID))
+        .filter((collector, i, all) => all.findIndex(other => other.herbID === collector.herbID) === i);
+    if (collectors.length > 0) {
+        html += `<p><strong>Original Collectors:</strong> ${escapeHtml(collectors.map(({ herbID, collectorID }) => `${getParticipantName(collectorID)} (${herbID})`).join(', '))}</p>`;
     }
+
+    // Each source lot is followed by the lots it was split or merged from, back to the collectors' registrations.
+    html += '<h4>Source Herb Batches:</h4>';
+    lots.forEach(herbId => {
+        const herbMaster = herbChain.metadata[herbId];
+        if (herbMaster) {
+            html += `<div class="history-item">
+                        <p><strong>Herb Name:</strong> ${escapeHtml(herbMaster.name)}</p>
+                        <p><strong>Herb ID:</strong> ${escapeHtml(herbId)}</p>`;
+            if (herbMaster.parentLots) {
+                html += `<p><strong>${herbMaster.history[0].type === 'splitLot' ? 'Split From' : 'Merged From'}:</strong> ${escapeHtml(herbMaster.parentLots.join(', '))}</p>`;
+            }
+            html += '<hr>';
+            herbMaster.history.forEach(rec => {
+                html += `<p><strong>Action:</strong> ${escapeHtml(rec.type)}<br>
+                            <strong>Timestamp:</strong> ${new Date(rec.timestamp).toLocaleString()}<br>
+                            <strong>Location:</strong> ${escapeHtml(rec.location || 'N/A')}`;
+                if (rec.speciesCode) html += `<br><strong>Species:</strong> ${escapeHtml(describeSpecies(rec.speciesCode))}${rec.permitNumber ? `, collected under permit ${escapeHtml(rec.permitNumber)}` : ''}${rec.outOfSeason ? ' ⚠️ harvested out of season' : ''}`;
+                if (rec.type === 'splitLot' || rec.type === 'mergeLot') html += `<br><strong>Mass Balance:</strong> ${escapeHtml(describeLotChange(rec))}`;
+                const quality = rec.quality || rec.supplierQuality || (rec.qualityBreakdown && { score: rec.qualityScore, breakdown: rec.qualityBreakdown });
+                if (quality) html += `<br><strong>Quality:</strong> ${escapeHtml(describeQuality(quality))}${evidenceButton(quality.evidence || rec.evidence)}`;
+                html += `</p>`;
+            });
+            html += `</div>`;
+        }
+    });
+    traceContent.innerHTML = html;
 }
 
-downloadPdfBtn.addEventListener('click', () => {
+downloadPdfBtn.addEventListener('click', async () => {
     const { jsPDF } = window.jspdf;
     const doc = new jsPDF();
     doc.setFontSize(20);
     doc.text("HerbalChain Blockchain Ledger", 10, 15);
     doc.setFontSize(10);
     doc.text(`Report Generated: ${new Date().toLocaleString()}`, 10, 22);
+    doc.text(`Integrity: ${herbChain.integrity.message}`, 10, 27);
 
+    const signatureStatuses = await Promise.all(herbChain.chain.slice(1).map(block => herbChain.verifyBlockSignature(block)));
     const tableData = herbChain.chain.slice(1).map((block, index) => {
         const data = block.data;
         const formattedData = Object.entries(data).map(([key, value]) => `${key}: ${JSON.stringify(value)}`).join('\n');
@@ -1040,13 +5151,14 @@ downloadPdfBtn.addEventListener('click', () => {
             block.hash.substring(0, 10) + '...',
             formattedData,
             fraudAlertStatus,
-            'N/A'
+            'N/A',
+            signatureStatuses[index]
         ];
     });
 
     doc.autoTable({
-        startY: 30,
-        head: [['Block ID', 'Previous Hash', 'Current Hash', 'Data', 'Fraud Alert', 'Quality Match']],
+        startY: 32,
+        head: [['Block ID', 'Previous Hash', 'Current Hash', 'Data', 'Fraud Alert', 'Quality Match', 'Signature']],
         body: tableData,
         theme: 'striped',
         styles: { fontSize: 8, cellPadding: 2, overflow: 'linebreak' },
@@ -1064,7 +5176,382 @@ document.getElementById('language-toggle').addEventListener('click', () => {
     alert('Language selection feature coming soon!');
 });
 
+document.addEventListener('click', (e) => {
+    const evidenceBtn = e.target.closest('.view-evidence-btn');
+    if (evidenceBtn) openEvidence(evidenceBtn.dataset.digest);
+});
+document.getElementById('close-evidence-btn').addEventListener('click', () => evidenceModal.classList.add('hidden'));
+
+policyCompareFrom.addEventListener('change', showPolicyDiff);
+policyCompareTo.addEventListener('change', showPolicyDiff);
+
+document.getElementById('reset-policy-btn').addEventListener('click', () => {
+    policyEditor.value = '';
+    updatePolicyScreen();
+    document.getElementById('policy-status').textContent = '';
+});
+
+document.getElementById('activate-policy-btn').addEventListener('click', async () => {
+    const statusDiv = document.getElementById('policy-status');
+    const note = document.getElementById('policy-note').value.trim();
+    let policy;
+    try {
+        policy = JSON.parse(policyEditor.value);
+    } catch (err) {
+        statusDiv.textContent = `The policy is not valid JSON: ${err.message}`;
+        statusDiv.className = 'status-message error';
+        return;
+    }
+    if (!note) {
+        statusDiv.textContent = 'Please give a reason for the change; it is recorded with the new version.';
+        statusDiv.className = 'status-message error';
+        return;
+    }
+    const result = await herbChain.setPolicy(getActingParticipant('admin'), policy, note);
+    statusDiv.textContent = result.message;
+    statusDiv.className = `status-message ${result.success ? 'success' : 'error'}`;
+    if (result.success) {
+        document.getElementById('policy-note').value = '';
+        updateAllUI();
+    }
+});
+
+reinspectDisputeSelect.addEventListener('change', updateReinspectFields);
+
+document.getElementById('open-dispute-btn').addEventListener('click', async () => {
+    if (disputeAlertSelect.value === '') {
+        showDisputeResult({ success: false, message: 'Please select the fraud alert you want to dispute.' });
+        return;
+    }
+    const statementInput = document.getElementById('dispute-statement');
+    const result = await herbChain.openDispute(currentSessionID, parseInt(disputeAlertSelect.value, 10), statementInput.value.trim());
+    if (showDisputeResult(result)) statementInput.value = '';
+});
+
+document.getElementById('submit-dispute-evidence-btn').addEventListener('click', async () => {
+    if (!requireDisputeSelection(evidenceDisputeSelect)) return;
+    const noteInput = document.getElementById('dispute-evidence-note');
+    const uploadInput = document.getElementById('dispute-evidence-upload');
+    const canvas = document.getElementById('dispute-canvas');
+    const evidence = [];
+    for (const file of Array.from(uploadInput.files).filter(f => f.type.startsWith('image/'))) {
+        try {
+            await drawImageFile(file, canvas);
+            evidence.push(await captureEvidence(canvas));
+        } catch (err) {
+            showDisputeResult({ success: false, message: `Could not read or store ${file.name}: ${err.message || err}` });
+            return;
+        }
+    }
+    const result = await herbChain.submitDisputeEvidence(currentSessionID, evidenceDisputeSelect.value, noteInput.value.trim(), evidence);
+    if (showDisputeResult(result)) {
+        noteInput.value = '';
+        uploadInput.value = '';
+    }
+});
+
+document.getElementById('reinspect-dispute-btn').addEventListener('click', async () => {
+    if (!requireDisputeSelection(reinspectDisputeSelect)) return;
+    const findingsInput = document.getElementById('reinspect-findings');
+    const measurement = {
+        quantity: document.getElementById('reinspect-quantity').value,
+        unit: document.getElementById('reinspect-unit').value,
+        score: document.getElementById('reinspect-score').value
+    };
+    const result = await herbChain.reinspectDispute(currentSessionID, reinspectDisputeSelect.value, findingsInput.value.trim(), measurement);
+    if (showDisputeResult(result)) {
+        findingsInput.value = '';
+        document.getElementById('reinspect-quantity').value = '';
+        document.getElementById('reinspect-score').value = '';
+    }
+});
+
+document.getElementById('resolve-dispute-btn').addEventListener('click', async () => {
+    if (!requireDisputeSelection(resolveDisputeSelect)) return;
+    const outcome = document.getElementById('resolve-outcome').value;
+    if (!confirm(`Resolve ${resolveDisputeSelect.value} as ${DISPUTE_OUTCOMES[outcome]}? This cannot be undone.`)) return;
+    const notesInput = document.getElementById('resolve-notes');
+    const result = await herbChain.resolveDispute(currentSessionID, resolveDisputeSelect.value, outcome, notesInput.value.trim());
+    if (showDisputeResult(result)) notesInput.value = '';
+});
+
+rulingSubjectSelect.addEventListener('change', updateRulingDecisions);
+
+document.getElementById('record-ruling-btn').addEventListener('click', async () => {
+    const statusDiv = document.getElementById('regulator-status');
+    const subject = rulingSubjectSelect.value;
+    if (!subject) {
+        statusDiv.textContent = 'Please select an alert, participant or batch to rule on.';
+        statusDiv.className = 'status-message error';
+        return;
+    }
+    const separator = subject.indexOf(':');
+    const result = await herbChain.recordRuling(
+        getActingParticipant('regulator'), subject.slice(0, separator), subject.slice(separator + 1),
+        rulingDecisionSelect.value, document.getElementById('ruling-notes').value.trim()
+    );
+    statusDiv.textContent = result.message;
+    statusDiv.className = `status-message ${result.success ? 'success' : 'error'}`;
+    if (result.success) {
+        document.getElementById('ruling-notes').value = '';
+        updateAllUI();
+    }
+});
+
+['manufacturer', 'regulator'].forEach(role => {
+    document.getElementById(`${role}-recall-btn`).addEventListener('click', async () => {
+        const statusDiv = document.getElementById(`${role}-recall-status`);
+        const targetID = document.getElementById(`${role}-recall-target`).value.trim();
+        const reason = document.getElementById(`${role}-recall-reason`).value.trim();
+        if (!targetID || !reason) {
+            statusDiv.textContent = 'Please enter the batch ID to recall and the reason.';
+            statusDiv.className = 'status-message error';
+            return;
+        }
+        if (!confirm(`Recall ${targetID}? This is recorded on the blockchain permanently.`)) return;
+        const result = await herbChain.recallBatch(getActingParticipant(role), targetID, reason);
+        statusDiv.textContent = result.message;
+        statusDiv.className = `status-message ${result.success ? 'success' : 'error'}`;
+        if (result.success) {
+            document.getElementById(`${role}-recall-target`).value = '';
+            document.getElementById(`${role}-recall-reason`).value = '';
+            updateAllUI();
+        }
+    });
+});
+
+document.getElementById('ship-batch-id').addEventListener('change', showHeldUnits);
+
+document.getElementById('ship-medicine-btn').addEventListener('click', async () => {
+    const statusDiv = document.getElementById('ship-status');
+    const batchID = document.getElementById('ship-batch-id').value;
+    const toID = document.getElementById('ship-to').value;
+    const firstUnit = parseInt(document.getElementById('ship-first-unit').value, 10);
+    const lastUnit = parseInt(document.getElementById('ship-last-unit').value, 10);
+    const caseSize = parseInt(document.getElementById('ship-case-size').value, 10);
+    if (!batchID || !toID || isNaN(firstUnit) || isNaN(lastUnit)) {
+        statusDiv.textContent = 'Please select a batch and a recipient, and enter the first and last unit.';
+        statusDiv.className = 'status-message error';
+        return;
+    }
+    const result = await herbChain.shipMedicine(getActingParticipant('distribution'), toID, batchID, firstUnit, lastUnit, isNaN(caseSize) ? null : caseSize);
+    statusDiv.textContent = result.message;
+    statusDiv.className = `status-message ${result.success ? 'success' : 'error'}`;
+    if (result.success) {
+        ['ship-first-unit', 'ship-last-unit', 'ship-case-size'].forEach(id => document.getElementById(id).value = '');
+        updateAllUI();
+    }
+});
+
+document.getElementById('receive-medicine-btn').addEventListener('click', async () => {
+    const statusDiv = document.getElementById('receive-status');
+    const shipmentID = document.getElementById('receive-shipment-id').value;
+    const receivedCount = parseInt(document.getElementById('received-count').value, 10);
+    if (!shipmentID || isNaN(receivedCount)) {
+        statusDiv.textContent = 'Please select a shipment and enter the number of units counted.';
+        statusDiv.className = 'status-message error';
+        return;
+    }
+    const shipment = herbChain.shipments[shipmentID];
+    if (!shipment) {
+        statusDiv.textContent = `Shipment ${shipmentID} is not on the ledger.`;
+        statusDiv.className = 'status-message error';
+        return;
+    }
+    const missingUnits = parseUnitRanges(document.getElementById('receive-missing-units').value);
+    if (!missingUnits) {
+        statusDiv.textContent = 'Enter the missing units as numbers or ranges, e.g. 12-15, 20.';
+        statusDiv.className = 'status-message error';
+        return;
+    }
+    const notes = document.getElementById('receive-notes').value.trim();
+    const result = await herbChain.receiveMedicine(getActingParticipant('distribution'), shipmentID, receivedCount, notes, missingUnits);
+    statusDiv.textContent = result.message;
+    statusDiv.className = `status-message ${result.success ? 'success' : 'error'}`;
+    if (herbChain.shipments[shipmentID].receipt) {
+        document.getElementById('received-count').value = '';
+        document.getElementById('receive-missing-units').value = '';
+        document.getElementById('receive-notes').value = '';
+        updateAllUI();
+    }
+});
+
+document.getElementById('capture-scan-location-btn').addEventListener('click', () => getGeoLocation('scan'));
+
+const SCAN_POLICY_FIELDS = {
+    consumer: 'policy-consumer-scans',
+    pharmacy: 'policy-pharmacy-scans',
+    inspector: 'policy-inspector-scans'
+};
+
+function showScanPolicy() {
+    const policy = loadScanPolicy();
+    Object.entries(SCAN_POLICY_FIELDS).forEach(([role, id]) => {
+        const limit = policy.allowedScans[role];
+        document.getElementById(id).value = Number.isFinite(limit) ? limit : '';
+    });
+    document.getElementById('policy-travel-km').value = policy.travelDistanceKm;
+    document.getElementById('policy-travel-hours').value = policy.travelWindowHours;
+    document.getElementById('policy-warn-risk').value = policy.warnAtRisk;
+}
+
+document.getElementById('save-scan-policy-btn').addEventListener('click', () => {
+    const statusDiv = document.getElementById('scan-policy-status');
+    const allowedScans = {};
+    Object.entries(SCAN_POLICY_FIELDS).forEach(([role, id]) => {
+        const value = document.getElementById(id).value;
+        allowedScans[role] = value === '' ? Infinity : parseInt(value, 10);
+    });
+    const policy = {
+        allowedScans,
+        travelDistanceKm: parseFloat(document.getElementById('policy-travel-km').value),
+        travelWindowHours: parseFloat(document.getElementById('policy-travel-hours').value),
+        warnAtRisk: parseInt(document.getElementById('policy-warn-risk').value, 10)
+    };
+    const invalid = Object.values(allowedScans).some(limit => !(limit >= 0))
+        || !(policy.travelDistanceKm > 0) || !(policy.travelWindowHours >= 0) || !(policy.warnAtRisk >= 1 && policy.warnAtRisk <= 100);
+    if (invalid) {
+        statusDiv.textContent = 'Please enter non-negative limits, a positive distance and a risk score between 1 and 100.';
+        statusDiv.className = 'status-message error';
+        return;
+    }
+    saveScanPolicy(policy);
+    statusDiv.textContent = 'Scan policy saved.';
+    statusDiv.className = 'status-message success';
+});
+
+showScanPolicy();
+
 qrImageInput.addEventListener('change', handleQrImageUpload);
 startScanBtn.addEventListener('click', startScanner);
 stopScanBtn.addEventListener('click', stopScanner);
 clearDataBtn.addEventListener('click', clearData);
+
+//---------------------------------------------------------
+// Ledger Export & Import
+//---------------------------------------------------------
+const importStatus = document.getElementById('import-status');
+const importReview = document.getElementById('import-review');
+let pendingImport = null;
+
+function describeBlock(block) {
+    if (!block) return '—';
+    const data = block.data;
+    const subject = data.herbID || data.batchID || data.participantID || data.disputeID || data.targetID || '';
+    return `${data.type}${subject ? ` (${subject})` : ''} ${block.hash.substring(0, 10)}...`;
+}
+
+// Replacing a freshly seeded ledger makes the backup's founder the administrator it trusts; say who, by key, so the user can check.
+function describeAnchorAdoption(candidate) {
+    if (!isSeedOnly(herbChain)) return '';
+    const founder = ledgerFounder(candidate);
+    return `This ledger holds only the seeded participants, so replacing it makes ${founder.legalName} (${founder.participantID}) its administrator, `
+        + `with key fingerprint ${founder.keyFingerprint.substring(0, 16)}.... Check the fingerprint with them before you continue.`;
+}
+
+function showImportReview(verification) {
+    const { commonPrefix, currentOnly, importedOnly } = compareChains(herbChain.chain, verification.candidate.chain);
+    document.getElementById('import-summary').textContent =
+        `Both ledgers agree on blocks 0 to ${commonPrefix - 1}. After that, this ledger has ${currentOnly.length} block(s) of its own and the backup has ${importedOnly.length}. `
+        + describeAnchorAdoption(verification.candidate);
+    const diffBody = document.getElementById('import-diff-body');
+    diffBody.innerHTML = '';
+    for (let i = 0; i < Math.max(currentOnly.length, importedOnly.length); i++) {
+        const row = document.createElement('tr');
+        row.innerHTML = `<td>${commonPrefix + i}</td><td>${escapeHtml(describeBlock(currentOnly[i]))}</td><td>${escapeHtml(describeBlock(importedOnly[i]))}</td>`;
+        diffBody.appendChild(row);
+    }
+    if (currentOnly.length === 0 && importedOnly.length === 0) {
+        diffBody.innerHTML = '<tr><td colspan="3" style="text-align: center;">The backup is identical to this ledger.</td></tr>';
+    }
+    importReview.classList.remove('hidden');
+}
+
+function closeImportReview() {
+    pendingImport = null;
+    importReview.classList.add('hidden');
+    document.getElementById('import-ledger-input').value = '';
+}
+
+document.getElementById('export-ledger-btn').addEventListener('click', exportLedger);
+
+document.getElementById('import-ledger-input').addEventListener('change', async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    closeImportReview();
+    let bundle;
+    try {
+        bundle = JSON.parse(await file.text());
+    } catch (e) {
+        importStatus.textContent = `${file.name} is not valid JSON.`;
+        importStatus.className = 'status-message error';
+        return;
+    }
+    const verification = await verifyLedgerBundle(bundle, herbChain);
+    if (!verification.valid) {
+        importStatus.innerHTML = `🚨 <strong>${escapeHtml(file.name)} was rejected.</strong><ul>${verification.errors.map(error => `<li>${escapeHtml(error)}</li>`).join('')}</ul>`;
+        importStatus.className = 'status-message error';
+        return;
+    }
+    const { valid, unsigned } = verification.signatures;
+    importStatus.textContent = `✅ ${file.name}: all ${bundle.chain.length} blocks and hash links verified; ${valid} signatures valid, ${unsigned.length} unsigned.`;
+    importStatus.className = 'status-message success';
+    pendingImport = verification;
+    showImportReview(verification);
+});
+
+document.getElementById('import-replace-btn').addEventListener('click', async () => {
+    if (!pendingImport) return;
+    const anchor = describeAnchorAdoption(pendingImport.candidate);
+    if (!confirm(`Replace this ledger with the backup? Blocks that only exist here will be lost unless you export them first.${anchor ? `\n\n${anchor}` : ''}`)) return;
+    let refusals;
+    try {
+        refusals = await adoptLedger(pendingImport.candidate.chain);
+    } catch (e) {
+        importStatus.textContent = `The backup is loaded in this window but could not be saved: ${e.message || e}`;
+        importStatus.className = 'status-message error';
+        return;
+    }
+    if (refusals.length > 0) {
+        importStatus.innerHTML = `🚨 <strong>The backup was refused.</strong><ul>${refusals.map(error => `<li>${escapeHtml(error)}</li>`).join('')}</ul>`;
+        importStatus.className = 'status-message error';
+        return;
+    }
+    const missingKeys = Object.keys(herbChain.participants).filter(participantID => !holdsRegisteredKey(participantID));
+    importStatus.textContent = `Ledger replaced with the backup (${herbChain.chain.length} blocks).`
+        + (missingKeys.length > 0 ? ` This browser does not hold the signing keys of ${missingKeys.length} participant(s); an administrator can import the key backup made with the ledger under Participant Registry.` : '');
+    importStatus.className = 'status-message success';
+    closeImportReview();
+});
+
+document.getElementById('import-merge-btn').addEventListener('click', async () => {
+    if (!pendingImport) return;
+    const { merged, errors } = await mergeLedgers(herbChain.chain, pendingImport.candidate.chain);
+    if (!merged) {
+        importStatus.innerHTML = `🚨 <strong>The ledgers cannot be merged.</strong><ul>${errors.map(error => `<li>${escapeHtml(error)}</li>`).join('')}</ul>`;
+        importStatus.className = 'status-message error';
+        return;
+    }
+    let refusals;
+    try {
+        refusals = await adoptLedger(merged);
+    } catch (e) {
+        importStatus.textContent = `The merged ledger is loaded in this window but could not be saved: ${e.message || e}`;
+        importStatus.className = 'status-message error';
+        return;
+    }
+    if (refusals.length > 0) {
+        importStatus.innerHTML = `🚨 <strong>The merged ledger was refused.</strong><ul>${refusals.map(error => `<li>${escapeHtml(error)}</li>`).join('')}</ul>`;
+        importStatus.className = 'status-message error';
+        return;
+    }
+    importStatus.textContent = `Backup merged. The ledger now has ${herbChain.chain.length} blocks.`;
+    importStatus.className = 'status-message success';
+    closeImportReview();
+});
+
+document.getElementById('import-cancel-btn').addEventListener('click', () => {
+    closeImportReview();
+    importStatus.textContent = '';
+    importStatus.className = 'status-message';
+});
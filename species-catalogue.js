@@ -0,0 +1,36 @@
+//---------------------------------------------------------
+// Herb Species Catalogue
+//---------------------------------------------------------
+// Bundled with the app so collectors can pick a species offline. The code is what the ledger stores, so codes are never reused or renamed.
+// harvestMonths are the calendar months (1-12) in which the part used is normally collected.
+const CONSERVATION_STATUSES = {
+    LC: { label: 'Least Concern', redListed: false },
+    NT: { label: 'Near Threatened', redListed: false },
+    VU: { label: 'Vulnerable', redListed: true },
+    EN: { label: 'Endangered', redListed: true },
+    CR: { label: 'Critically Endangered', redListed: true }
+};
+
+const ALL_YEAR = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12];
+
+const SPECIES_CATALOGUE = {
+    AMLA: { commonName: 'Amla', hindiName: 'Amla', sanskritName: 'Amalaki', botanicalName: 'Phyllanthus emblica', partUsed: 'Fruit', harvestMonths: [11, 12, 1, 2], conservationStatus: 'LC' },
+    ARJU: { commonName: 'Arjuna', hindiName: 'Arjun', sanskritName: 'Arjuna', botanicalName: 'Terminalia arjuna', partUsed: 'Bark', harvestMonths: [1, 2, 3, 4], conservationStatus: 'LC' },
+    ASHW: { commonName: 'Ashwagandha', hindiName: 'Ashwagandha', sanskritName: 'Ashwagandha', botanicalName: 'Withania somnifera', partUsed: 'Root', harvestMonths: [1, 2, 3], conservationStatus: 'LC' },
+    ATIS: { commonName: 'Atis', hindiName: 'Atees', sanskritName: 'Ativisha', botanicalName: 'Aconitum heterophyllum', partUsed: 'Root', harvestMonths: [9, 10], conservationStatus: 'EN' },
+    BIBH: { commonName: 'Bibhitaki', hindiName: 'Baheda', sanskritName: 'Bibhitaki', botanicalName: 'Terminalia bellirica', partUsed: 'Fruit', harvestMonths: [11, 12, 1, 2], conservationStatus: 'LC' },
+    BRAH: { commonName: 'Brahmi', hindiName: 'Brahmi', sanskritName: 'Brahmi', botanicalName: 'Bacopa monnieri', partUsed: 'Whole plant', harvestMonths: [9, 10, 11], conservationStatus: 'LC' },
+    GILO: { commonName: 'Giloy', hindiName: 'Giloy', sanskritName: 'Guduchi', botanicalName: 'Tinospora cordifolia', partUsed: 'Stem', harvestMonths: [2, 3, 4, 5, 6], conservationStatus: 'LC' },
+    GUGG: { commonName: 'Guggul', hindiName: 'Guggul', sanskritName: 'Guggulu', botanicalName: 'Commiphora wightii', partUsed: 'Resin', harvestMonths: [11, 12, 1, 2], conservationStatus: 'CR' },
+    HARI: { commonName: 'Haritaki', hindiName: 'Harad', sanskritName: 'Haritaki', botanicalName: 'Terminalia chebula', partUsed: 'Fruit', harvestMonths: [11, 12, 1, 2, 3], conservationStatus: 'LC' },
+    JATA: { commonName: 'Jatamansi', hindiName: 'Jatamansi', sanskritName: 'Jatamansi', botanicalName: 'Nardostachys jatamansi', partUsed: 'Rhizome', harvestMonths: [9, 10, 11], conservationStatus: 'CR' },
+    KUTH: { commonName: 'Costus', hindiName: 'Kuth', sanskritName: 'Kushtha', botanicalName: 'Saussurea costus', partUsed: 'Root', harvestMonths: [9, 10, 11], conservationStatus: 'CR' },
+    KUTK: { commonName: 'Kutki', hindiName: 'Kutki', sanskritName: 'Katuka', botanicalName: 'Picrorhiza kurroa', partUsed: 'Rhizome', harvestMonths: [9, 10], conservationStatus: 'EN' },
+    MULE: { commonName: 'Licorice', hindiName: 'Mulethi', sanskritName: 'Yashtimadhu', botanicalName: 'Glycyrrhiza glabra', partUsed: 'Root', harvestMonths: [10, 11, 12], conservationStatus: 'LC' },
+    NEEM: { commonName: 'Neem', hindiName: 'Neem', sanskritName: 'Nimba', botanicalName: 'Azadirachta indica', partUsed: 'Leaf', harvestMonths: ALL_YEAR, conservationStatus: 'LC' },
+    RSAN: { commonName: 'Red Sanders', hindiName: 'Lal Chandan', sanskritName: 'Raktachandana', botanicalName: 'Pterocarpus santalinus', partUsed: 'Heartwood', harvestMonths: ALL_YEAR, conservationStatus: 'EN' },
+    SARP: { commonName: 'Sarpagandha', hindiName: 'Sarpagandha', sanskritName: 'Sarpagandha', botanicalName: 'Rauvolfia serpentina', partUsed: 'Root', harvestMonths: [10, 11, 12], conservationStatus: 'EN' },
+    SHAT: { commonName: 'Shatavari', hindiName: 'Shatavari', sanskritName: 'Shatavari', botanicalName: 'Asparagus racemosus', partUsed: 'Root', harvestMonths: [10, 11, 12, 1, 2], conservationStatus: 'LC' },
+    TULS: { commonName: 'Tulsi', hindiName: 'Tulsi', sanskritName: 'Tulasi', botanicalName: 'Ocimum tenuiflorum', partUsed: 'Leaf', harvestMonths: ALL_YEAR, conservationStatus: 'LC' },
+    TURM: { commonName: 'Turmeric', hindiName: 'Haldi', sanskritName: 'Haridra', botanicalName: 'Curcuma longa', partUsed: 'Rhizome', harvestMonths: [1, 2, 3], conservationStatus: 'LC' }
+};